@@ -0,0 +1,165 @@
+// Local backup / restore — one zip with the whole library, independent of cloud sync
+//
+// Layout (BACKUP_VERSION 1):
+//   manifest.json          { format, version, dbVersion, createdAt, books, stores }
+//   db/<store>.json        records of each data store (soft-deleted ones included)
+//   epub/<bookId><ext>     book files from the Cache API, extension of their format (formats.js)
+//   local-storage.json     reader preferences and per-book state (no sync credentials)
+//
+// Derived or device-bound stores are left out: the search index and dictionary are rebuilt,
+// file handles and sync keys can't leave the browser, the sync change log is per device.
+//
+// Restoring merges into the current library with the same rules as sync (mergeData,
+// mergeTranslation); book files are only added where missing. Older backups are upgraded step by
+// step through MIGRATIONS, so a backup keeps importing after DB upgrades.
+import { DB_VERSION, getAllBooks, getAllVocabulary, getAllHighlights, getAllTranslations, getAllReviewLogs, getAllReadingSessions, getAllGlossary, getBookAliases, bookAliasResolver, importTranslations, cacheEpubFile, getCachedEpub } from './db.js'
+import { mergeData, applyMergedData, exportLocalData, requestFullSync, mergeTranslation, translationEntry } from './sync.js'
+import { formatInfo, formatOfFile, formatOfName, stripExtension } from './formats.js'
+
+const ZIP_CDN = 'https://cdn.jsdelivr.net/npm/@zip.js/zip.js/+esm'
+const BACKUP_FORMAT = 'nixbook-backup'
+const BACKUP_VERSION = 1
+
+const STORES = {
+  books: getAllBooks,
+  vocabulary: getAllVocabulary,
+  highlights: getAllHighlights,
+  translations: getAllTranslations,
+  reviewLog: getAllReviewLogs,
+  readingSessions: getAllReadingSessions,
+  glossary: getAllGlossary,
+  bookAliases: getBookAliases,
+}
+
+const LOCAL_STORAGE_KEYS = ['epub-reader-theme', 'reader-font-size', 'review-algorithm', 'flashcard-cloze',
+  'translation-queue', 'translation-complete', 'paragraph-counts', 'translation-failures']
+const LOCAL_STORAGE_PREFIXES = ['showTranslations_', 'progress-backup-']
+// Per-book JSON objects: merged, local entries win
+const MERGED_LOCAL_STORAGE_KEYS = ['translation-queue', 'translation-complete', 'paragraph-counts', 'translation-failures']
+
+// MIGRATIONS[n] upgrades a backup from version n to n + 1: (data) => data,
+// data = { manifest, stores: { name: records }, localStorage }
+const MIGRATIONS = {}
+
+const backupError = message => Object.assign(new Error(message), { name: 'BackupError' })
+
+export async function exportBackup(progressCallback) {
+  const { ZipWriter, BlobWriter, BlobReader, TextReader } = await import(ZIP_CDN)
+  const zip = new ZipWriter(new BlobWriter('application/zip'))
+  const addJSON = (name, value) => zip.add(name, new TextReader(JSON.stringify(value)))
+
+  const counts = {}
+  for (const [name, getAll] of Object.entries(STORES)) {
+    progressCallback?.(`正在导出 ${name}...`)
+    const records = await getAll()
+    counts[name] = records.length
+    await addJSON(`db/${name}.json`, records)
+  }
+
+  const books = await getAllBooks()
+  let bookFiles = 0
+  for (const book of books) {
+    const file = await getCachedEpub(book.id)
+    if (!file) continue
+    progressCallback?.(`正在打包: ${book.title || book.id}`)
+    // Book files are mostly zips already (EPUB, CBZ) — store, don't recompress
+    await zip.add(`epub/${book.id}${formatInfo(formatOfFile(file)).ext}`, new BlobReader(file), { level: 0 })
+    bookFiles++
+  }
+
+  const local = {}
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i)
+    if (LOCAL_STORAGE_KEYS.includes(key) || LOCAL_STORAGE_PREFIXES.some(p => key.startsWith(p))) local[key] = localStorage.getItem(key)
+  }
+  await addJSON('local-storage.json', local)
+
+  await addJSON('manifest.json', {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    dbVersion: DB_VERSION,
+    createdAt: Date.now(),
+    books: bookFiles,
+    stores: counts,
+  })
+  console.log(`📚 BACKUP: exported ${books.length} books (${bookFiles} files)`, counts)
+  return zip.close()
+}
+
+export async function importBackup(file, progressCallback) {
+  const { ZipReader, BlobReader, BlobWriter, TextWriter } = await import(ZIP_CDN)
+  const zip = new ZipReader(new BlobReader(file))
+  const entries = new Map((await zip.getEntries()).map(e => [e.filename, e]))
+  const readJSON = async (name, fallback) => {
+    const entry = entries.get(name)
+    return entry ? JSON.parse(await entry.getData(new TextWriter())) : fallback
+  }
+
+  const manifest = await readJSON('manifest.json', null)
+  if (manifest?.format !== BACKUP_FORMAT) throw backupError('不是 NixBook 备份文件')
+  if (manifest.version > BACKUP_VERSION) throw backupError('备份来自更新版本的 NixBook，请先更新应用')
+
+  let data = { manifest, stores: {}, localStorage: await readJSON('local-storage.json', {}) }
+  for (const name of Object.keys(STORES)) data.stores[name] = await readJSON(`db/${name}.json`, [])
+  for (let v = manifest.version; v < BACKUP_VERSION; v++) data = MIGRATIONS[v](data)
+  const { stores } = data
+
+  // --- Records: LWW merge exactly like a sync with the backup as the remote ---
+  progressCallback?.('正在合并书籍、生词、标注和术语表...')
+  await applyMergedData(mergeData(await exportLocalData(), {
+    books: stores.books,
+    vocabulary: stores.vocabulary,
+    highlights: stores.highlights,
+    reviewLog: stores.reviewLog,
+    readingSessions: stores.readingSessions,
+    glossary: stores.glossary,
+    bookAliases: stores.bookAliases,
+  }))
+  // Translations and files are keyed by book too — file them under the books' current ids
+  const currentId = bookAliasResolver(await getBookAliases())
+
+  // --- Translations: per paragraph like sync — a user edit beats a machine one, newer flag wins ---
+  progressCallback?.('正在合并翻译...')
+  const current = new Map((await getAllTranslations()).map(t => [`${t.bookId}:${t.hash}`, translationEntry(t)]))
+  const updates = new Map()
+  for (const t of stores.translations) {
+    const bookId = currentId(t.bookId)
+    const key = `${bookId}:${t.hash}`
+    const merged = mergeTranslation(current.get(key), translationEntry(t))
+    if (JSON.stringify(merged) === JSON.stringify(current.get(key))) continue
+    current.set(key, merged)
+    updates.set(key, { ...merged, bookId, original: t.original, savedAt: Date.now() })
+  }
+  await importTranslations([...updates.values()])
+
+  // --- Book files: only where the browser has none ---
+  let restoredFiles = 0
+  for (const [name, entry] of entries) {
+    const fileName = name.match(/^epub\/([^/]+)$/)?.[1]
+    const format = formatOfName(fileName)
+    const bookId = format && currentId(stripExtension(fileName))
+    if (!bookId || await getCachedEpub(bookId)) continue
+    progressCallback?.(`正在恢复: ${stores.books.find(b => b.id === bookId)?.title || bookId}`)
+    await cacheEpubFile(bookId, await entry.getData(new BlobWriter(formatInfo(format).mime)))
+    restoredFiles++
+  }
+
+  // --- localStorage: fill gaps; per-book objects are merged ---
+  for (const [key, value] of Object.entries(data.localStorage)) {
+    if (MERGED_LOCAL_STORAGE_KEYS.includes(key)) {
+      let local = {}
+      let restored = {}
+      try { local = JSON.parse(localStorage.getItem(key)) || {} } catch {}
+      try { restored = JSON.parse(value) || {} } catch {}
+      localStorage.setItem(key, JSON.stringify({ ...restored, ...local }))
+    } else if (localStorage.getItem(key) === null) {
+      localStorage.setItem(key, value)
+    }
+  }
+
+  await zip.close()
+  // The merge wrote straight to IndexedDB (no change log) — let the next sync upload everything
+  requestFullSync()
+  console.log(`📚 BACKUP: restored backup from ${new Date(manifest.createdAt).toISOString()} (v${manifest.version}, DB v${manifest.dbVersion}), ${restoredFiles} book files`)
+  return { books: stores.books.length, restoredFiles }
+}
@@ -0,0 +1,169 @@
+// Bulk import helpers for the bookshelf — content hashes, dropped folders, a watched folder
+//
+// index.html owns the import queue (one file at a time, per-file stages shown on the shelf);
+// this module finds the files and tells duplicates apart:
+//   - contentHash: SHA-256 of the imported file as given (the .txt, not the EPUB made from it),
+//     stored on the book record and synced, so the same file is never added twice
+//   - contentBookId: the book's id, derived from that hash — the same file imported on two
+//     devices is one book everywhere. (Not the EPUB's unique-identifier: many files have none,
+//     converted ones share a random one, and publishers reuse them across editions.)
+//     migrateBookIds moves books from before this onto their content id (db.js mergeBookInto)
+//   - collectDroppedFiles: files and whole folders from a drop
+//   - watched folder (File System Access API): a local folder whose new books are imported
+//     automatically. Browsers have no change events for it, so the shelf rescans on load, on
+//     focus and every minute; files already seen (same path, size and mtime) are skipped.
+import { saveFileHandle, getFileHandle, deleteFileHandle, getAllBooks, getBook, saveBook, getCachedEpub, mergeBookInto } from './db.js'
+import { isSupportedFile } from './formats.js'
+
+const WATCH_HANDLE_ID = 'watch-folder'
+const WATCH_NAME_KEY = 'watch-folder-name'
+const WATCH_SEEN_KEY = 'watch-folder-seen'
+
+// ========== Content hashes ==========
+export async function sha256(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// 128 bits of the hash are plenty to tell books apart and keep paths short
+export const contentBookId = contentHash => contentHash.slice(0, 32)
+
+// Books imported before hashing get theirs from the cached file (once — it's saved on the
+// record). null while the file isn't on this device
+async function bookContentHash(book) {
+  if (book.contentHash) return book.contentHash
+  const file = await getCachedEpub(book.id)
+  if (!file) return null
+  const hash = await sha256(file)
+  const fresh = await getBook(book.id)
+  if (fresh) await saveBook({ ...fresh, contentHash: hash, file: null })  // file is cached already
+  return hash
+}
+
+// contentHash → bookId for the whole library
+export async function libraryContentHashes() {
+  const hashes = new Map()
+  for (const book of await getAllBooks()) {
+    const hash = await bookContentHash(book)
+    if (hash) hashes.set(hash, book.id)
+  }
+  return hashes
+}
+
+// Move every book still under a random id onto its content id. Duplicates (the same file
+// imported twice, e.g. once per device before ids were content-based) end up merged into one
+// book. → number of books moved
+export async function migrateBookIds() {
+  let moved = 0
+  for (const book of await getAllBooks()) {
+    const hash = await bookContentHash(book)
+    if (!hash || book.id === contentBookId(hash)) continue
+    await mergeBookInto(book.id, contentBookId(hash))
+    moved++
+  }
+  if (moved) console.log(`📚 Moved ${moved} books to content-based ids`)
+  return moved
+}
+
+// ========== Drag & drop ==========
+// Entry API (webkitGetAsEntry) is the one way to walk a dropped folder in every browser
+function readEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+}
+
+async function entryFiles(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+    return isSupportedFile(file.name) ? [file] : []
+  }
+  if (!entry.isDirectory || entry.name.startsWith('.')) return []
+  const reader = entry.createReader()
+  const files = []
+  // readEntries returns at most 100 entries per call
+  for (let batch = await readEntries(reader); batch.length; batch = await readEntries(reader)) {
+    for (const child of batch) files.push(...await entryFiles(child))
+  }
+  return files
+}
+
+// Supported book files in a drop — folders are walked recursively, other files are ignored
+export async function collectDroppedFiles(dataTransfer) {
+  // Entries must be taken synchronously, before the first await ends the drop event
+  const entries = [...dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean)
+  if (!entries.length) return [...dataTransfer.files].filter(file => isSupportedFile(file.name))
+  const files = []
+  for (const entry of entries) {
+    try { files.push(...await entryFiles(entry)) } catch (e) { console.warn('Could not read dropped entry:', entry.name, e) }
+  }
+  return files
+}
+
+// ========== Watched folder ==========
+export function isFolderWatchSupported() {
+  return typeof window !== 'undefined' && 'showDirectoryPicker' in window
+}
+
+export function getWatchFolderName() {
+  return localStorage.getItem(WATCH_NAME_KEY)
+}
+
+// Must run from a user gesture (click)
+export async function pickWatchFolder() {
+  const handle = await window.showDirectoryPicker({ id: 'nixbook-books', mode: 'read' })
+  await saveFileHandle(WATCH_HANDLE_ID, handle)
+  localStorage.setItem(WATCH_NAME_KEY, handle.name)
+  localStorage.removeItem(WATCH_SEEN_KEY)
+  return handle.name
+}
+
+export async function forgetWatchFolder() {
+  localStorage.removeItem(WATCH_NAME_KEY)
+  localStorage.removeItem(WATCH_SEEN_KEY)
+  await deleteFileHandle(WATCH_HANDLE_ID)
+}
+
+// 'granted' | 'prompt' | 'denied' | null (no folder). Re-granting after a restart needs a click:
+// pass `request` only from one
+export async function watchFolderPermission({ request = false } = {}) {
+  const handle = await getFileHandle(WATCH_HANDLE_ID)
+  if (!handle) return null
+  const opts = { mode: 'read' }
+  const state = await handle.queryPermission(opts)
+  if (state !== 'prompt' || !request) return state
+  return handle.requestPermission(opts).catch(() => 'denied')
+}
+
+function getSeen() {
+  try { return JSON.parse(localStorage.getItem(WATCH_SEEN_KEY)) || {} } catch { return {} }
+}
+
+// Mark a file from scanWatchFolder as handled (imported, duplicate or failed — a failed file is
+// only retried once it changes)
+export function markWatchFileSeen({ path, file }) {
+  const seen = getSeen()
+  seen[path] = `${file.size}:${file.lastModified}`
+  localStorage.setItem(WATCH_SEEN_KEY, JSON.stringify(seen))
+}
+
+async function* walkDirectory(dir, prefix = '') {
+  for await (const [name, handle] of dir.entries()) {
+    if (name.startsWith('.')) continue
+    const path = prefix + name
+    if (handle.kind === 'directory') yield* walkDirectory(handle, `${path}/`)
+    else if (isSupportedFile(name)) yield { path, handle }
+  }
+}
+
+// Files in the watched folder not seen yet (or changed since) → [{ path, file }].
+// Empty when there's no folder or no permission.
+export async function scanWatchFolder() {
+  const handle = await getFileHandle(WATCH_HANDLE_ID)
+  if (!handle || await handle.queryPermission({ mode: 'read' }) !== 'granted') return []
+  const seen = getSeen()
+  const found = []
+  for await (const { path, handle: fileHandle } of walkDirectory(handle)) {
+    const file = await fileHandle.getFile()
+    if (seen[path] !== `${file.size}:${file.lastModified}`) found.push({ path, file })
+  }
+  return found
+}
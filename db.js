@@ -1,7 +1,10 @@
+import { schedule, scheduleState, getAlgorithm } from './scheduler.js'
+import { bookFile, formatInfo, formatOfFile, formatOfType } from './formats.js'
+
 const DB_NAME = 'epub-reader'
-const DB_VERSION = 4  // Upgraded for translations store
+export const DB_VERSION = 13  // Upgraded for book id aliases (content-addressed ids)
 
-function openDB() {
+export function openDB() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION)
     req.onupgradeneeded = (e) => {
@@ -22,6 +25,44 @@ function openDB() {
         const transStore = db.createObjectStore('translations', { keyPath: ['bookId', 'hash'] })
         transStore.createIndex('bookId', 'bookId')
       }
+      if (!db.objectStoreNames.contains('searchDocs')) {
+        db.createObjectStore('searchDocs', { keyPath: 'key' })
+        db.createObjectStore('searchIndex', { keyPath: ['term', 'key'] })
+        // Existing records get indexed lazily by ensureSearchIndex()
+        localStorage.removeItem(SEARCH_INDEX_VERSION_KEY)
+      }
+      if (!db.objectStoreNames.contains('dictionary')) {
+        db.createObjectStore('dictionary', { keyPath: 'word' })
+        // Forces dict.js to (re-)import — the flag may predate the store
+        localStorage.removeItem('dict-version')
+      }
+      if (!db.objectStoreNames.contains('reviewLog')) {
+        const logStore = db.createObjectStore('reviewLog', { keyPath: 'id' })
+        logStore.createIndex('word', 'word')
+        logStore.createIndex('reviewedAt', 'reviewedAt')
+      }
+      if (!db.objectStoreNames.contains('readingSessions')) {
+        const sessionStore = db.createObjectStore('readingSessions', { keyPath: 'id' })
+        sessionStore.createIndex('bookId', 'bookId')
+        sessionStore.createIndex('startedAt', 'startedAt')
+      }
+      if (!db.objectStoreNames.contains('fileHandles')) {
+        db.createObjectStore('fileHandles', { keyPath: 'id' })
+      }
+      if (!db.objectStoreNames.contains(CHANGE_STORE)) {
+        // Existing records are already in the remote snapshot — the log starts empty
+        db.createObjectStore(CHANGE_STORE, { keyPath: ['store', 'key'] })
+      }
+      if (!db.objectStoreNames.contains('syncKeys')) {
+        db.createObjectStore('syncKeys', { keyPath: 'id' })
+      }
+      if (!db.objectStoreNames.contains('glossary')) {
+        const glossaryStore = db.createObjectStore('glossary', { keyPath: ['bookId', 'term'] })
+        glossaryStore.createIndex('bookId', 'bookId')
+      }
+      if (!db.objectStoreNames.contains('bookAliases')) {
+        db.createObjectStore('bookAliases', { keyPath: 'id' })
+      }
     }
     req.onsuccess = () => resolve(req.result)
     req.onerror = () => reject(req.error)
@@ -43,8 +84,16 @@ export async function saveBook(book) {
   const { file, coverBlob, ...metadata } = book
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('books', 'readwrite')
-    tx.objectStore('books').put(metadata)
+    const tx = db.transaction(['books', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
+    const store = tx.objectStore('books')
+    const getReq = store.get(metadata.id)
+    getReq.onsuccess = () => {
+      const existing = getReq.result
+      store.put(metadata)
+      // Progress saves (every page turn) don't change what the book is found by
+      if (!existing || existing.title !== metadata.title || existing.author !== metadata.author) indexRecord(tx, 'book', metadata)
+      logChange(tx, 'books', metadata.id)
+    }
     tx.oncomplete = resolve
     tx.onerror = () => reject(tx.error)
   })
@@ -78,26 +127,49 @@ export async function deleteBook(id) {
   await deleteCachedEpub(id)
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('books', 'readwrite')
+    const tx = db.transaction(['books', ...SEARCH_STORES], 'readwrite')
     tx.objectStore('books').delete(id)
+    updateSearchIndex(tx, `book:${id}`, null)
     tx.oncomplete = resolve
     tx.onerror = () => reject(tx.error)
   })
 }
 
+// Patch fields on a book record (shelf status, collections) → the updated record (null if gone)
+export async function updateBook(id, fields) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['books', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
+    const store = tx.objectStore('books')
+    let record = null
+    const getReq = store.get(id)
+    getReq.onsuccess = () => {
+      if (!getReq.result) return
+      record = { ...getReq.result, ...fields, id }
+      store.put(record)
+      indexRecord(tx, 'book', record)
+      logChange(tx, 'books', id)
+    }
+    tx.oncomplete = () => resolve(record)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
 // --- Vocabulary (single words) ---
 // LWW soft-delete: records have optional `deletedAt`. When set, the word is "deleted".
 // Re-adding a deleted word clears `deletedAt`.
-export async function saveWord(word, translation = '', bookTitle = '') {
+// `word` is the lemma (base form); inflected forms actually seen in books go into `forms`.
+// Each lookup's enclosing sentence is kept in `contexts` (see addWordContext).
+export async function saveWord(word, translation = '', bookTitle = '', { surface = '', context = null, languages = null } = {}) {
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('vocabulary', 'readwrite')
+    const tx = db.transaction(['vocabulary', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
     const store = tx.objectStore('vocabulary')
     const getReq = store.get(word.toLowerCase())
     getReq.onsuccess = () => {
-      const existing = getReq.result
-      if (!existing) {
-        store.put({
+      let record = getReq.result
+      if (!record) {
+        record = {
           word: word.toLowerCase(),
           translation: translation,
           addedAt: Date.now(),
@@ -106,47 +178,166 @@ export async function saveWord(word, translation = '', bookTitle = '') {
           nextReview: Date.now(),
           interval: 0,
           easeFactor: 2.5
-        })
+        }
+        // { source, target } of the book it was looked up in (absent = English → Chinese)
+        if (languages) { record.sourceLang = languages.source; record.targetLang = languages.target }
       } else {
-        existing.count = (existing.count || 1) + 1
-        if (translation && !existing.translation) existing.translation = translation
+        record.count = (record.count || 1) + 1
+        if (translation && !record.translation) record.translation = translation
         // Revive if soft-deleted
-        if (existing.deletedAt) delete existing.deletedAt
-        existing.addedAt = existing.addedAt || Date.now()
-        store.put(existing)
+        if (record.deletedAt) delete record.deletedAt
+        record.addedAt = record.addedAt || Date.now()
+      }
+      surface = surface.toLowerCase()
+      if (surface && surface !== record.word && !record.forms?.includes(surface)) {
+        record.forms = [...(record.forms || []), surface]
       }
+      if (context) addWordContext(record, { ...context, surface: surface || record.word })
+      store.put(record)
+      indexRecord(tx, 'word', record)
+      logChange(tx, 'vocabulary', record.word)
     }
     tx.oncomplete = resolve
     tx.onerror = () => reject(tx.error)
   })
 }
 
-export async function updateWordReview(word, quality) {
+// Context sentences: { sentence, surface, cfi, bookId, bookTitle, addedAt }, newest last.
+// One entry per spot in a book (same CFI, or same sentence for lookups without one).
+export const MAX_WORD_CONTEXTS = 20
+
+export function wordContextKey(ctx) {
+  return `${ctx.bookId || ''}:${ctx.cfi || ctx.sentence}`
+}
+
+function addWordContext(record, context) {
+  const key = wordContextKey(context)
+  const contexts = (record.contexts || []).filter(c => wordContextKey(c) !== key)
+  contexts.push({ ...context, addedAt: context.addedAt || Date.now() })
+  record.contexts = contexts.slice(-MAX_WORD_CONTEXTS)
+}
+
+// Grade a flashcard (SM-2 scale 0–5) with the chosen algorithm (scheduler.js) and append
+// a review log entry in the same transaction. The log's `before` snapshot lets sync.js
+// replay merged logs from several devices into one schedule.
+export async function updateWordReview(word, quality, algorithm = getAlgorithm()) {
   const db = await openDB()
+  const now = Date.now()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('vocabulary', 'readwrite')
+    const tx = db.transaction(['vocabulary', 'reviewLog', CHANGE_STORE], 'readwrite')
     const store = tx.objectStore('vocabulary')
     const getReq = store.get(word.toLowerCase())
     getReq.onsuccess = () => {
       if (!getReq.result) return
       const card = getReq.result
-      if (quality < 3) {
-        card.interval = 0
-        card.nextReview = Date.now()
-      } else {
-        if (card.interval === 0) card.interval = 1
-        else if (card.interval === 1) card.interval = 3
-        else card.interval = Math.round(card.interval * card.easeFactor)
-        card.easeFactor = Math.max(1.3, card.easeFactor + (0.1 - (5 - quality) * 0.08))
-        card.nextReview = Date.now() + card.interval * 24 * 60 * 60 * 1000
-      }
-      store.put(card)
+      const before = scheduleState(card)
+      const after = schedule(before, quality, algorithm, now)
+      const logId = `${card.word}:${now}:${Math.random().toString(36).slice(2, 8)}`
+      store.put({ ...card, ...after })
+      logChange(tx, 'vocabulary', card.word)
+      logChange(tx, 'reviewLog', logId)
+      tx.objectStore('reviewLog').put({
+        id: logId,
+        word: card.word,
+        reviewedAt: now,
+        grade: quality,
+        algorithm,
+        intervalBefore: before.interval || 0,
+        intervalAfter: after.interval,
+        before,
+      })
     }
     tx.oncomplete = resolve
     tx.onerror = () => reject(tx.error)
   })
 }
 
+// Returns ALL review log entries (for sync export / retention stats)
+export async function getAllReviewLogs() {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('reviewLog').objectStore('reviewLog').getAll()
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// --- Reading sessions ---
+// One record per continuous stretch of reading (reader.html). The open session is re-put
+// on every page turn, so a killed tab loses at most the last page.
+export async function saveReadingSession(session) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['readingSessions', CHANGE_STORE], 'readwrite')
+    tx.objectStore('readingSessions').put(session)
+    logChange(tx, 'readingSessions', session.id)
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Returns ALL reading sessions (for sync export / stats.html)
+export async function getAllReadingSessions() {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('readingSessions').objectStore('readingSessions').getAll()
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// --- File System Access handles ---
+// Directory handles survive reloads only via IndexedDB (they're structured-cloneable, not JSON)
+export async function saveFileHandle(id, handle) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('fileHandles', 'readwrite')
+    tx.objectStore('fileHandles').put({ id, handle, savedAt: Date.now() })
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function getFileHandle(id) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('fileHandles').objectStore('fileHandles').get(id)
+    req.onsuccess = () => resolve(req.result?.handle || null)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+export async function deleteFileHandle(id) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('fileHandles', 'readwrite')
+    tx.objectStore('fileHandles').delete(id)
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// --- Sync encryption keys (encryption.js) ---
+// Non-extractable CryptoKeys are structured-cloneable, so the passphrase itself is never stored
+export async function saveSyncKey(entry) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('syncKeys', 'readwrite')
+    tx.objectStore('syncKeys').put({ ...entry, savedAt: Date.now() })
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function getSyncKey(id) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('syncKeys').objectStore('syncKeys').get(id)
+    req.onsuccess = () => resolve(req.result || null)
+    req.onerror = () => reject(req.error)
+  })
+}
+
 export async function getWordsForReview(limit = 20) {
   const db = await openDB()
   return new Promise((resolve, reject) => {
@@ -183,7 +374,7 @@ export async function getActiveVocabulary() {
 export async function deleteWord(word) {
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('vocabulary', 'readwrite')
+    const tx = db.transaction(['vocabulary', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
     const store = tx.objectStore('vocabulary')
     const getReq = store.get(word.toLowerCase())
     getReq.onsuccess = () => {
@@ -191,6 +382,8 @@ export async function deleteWord(word) {
         const record = getReq.result
         record.deletedAt = Date.now()
         store.put(record)
+        indexRecord(tx, 'word', record)
+        logChange(tx, 'vocabulary', record.word)
       }
     }
     tx.oncomplete = resolve
@@ -203,44 +396,93 @@ export async function clearVocabulary() {
   return new Promise((resolve, reject) => {
     const tx = db.transaction('vocabulary', 'readwrite')
     tx.objectStore('vocabulary').clear()
-    tx.oncomplete = resolve
+    tx.oncomplete = () => { invalidateSearchIndex(); resolve() }
     tx.onerror = () => reject(tx.error)
   })
 }
 
 // --- Highlights (sentences/passages) ---
 // LWW soft-delete: records have optional `deletedAt`.
-// Key for identity: `bookId:text`
+// Key for identity: `bookId:cfi` (EPUB CFI range from foliate-js, `epubcfi(parent,start,end)`).
+// Legacy records saved before CFI anchoring only have `text` — they fall back to `bookId:text`
+// and get their `cfi` filled in by reader.html the first time their section is opened.
+export function highlightKey(hl) {
+  return hl.cfi ? `${hl.bookId}:${hl.cfi}` : `${hl.bookId}:${hl.text}`
+}
+
+// Color labels for highlights (Solarized accents). Records store the name; missing = yellow.
+export const HIGHLIGHT_COLORS = {
+  yellow: '#b58900',
+  orange: '#cb4b16',
+  red: '#dc322f',
+  magenta: '#d33682',
+  blue: '#268bd2',
+  green: '#859900',
+}
+
 export async function saveHighlight(highlight) {
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('highlights', 'readwrite')
+    const tx = db.transaction(['highlights', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
     const store = tx.objectStore('highlights')
     highlight.addedAt = highlight.addedAt || Date.now()
     
     // Check if a soft-deleted version exists — revive it
     const req = store.openCursor()
     let found = false
+    let savedId = null
     req.onsuccess = () => {
       const cursor = req.result
       if (cursor) {
-        if (cursor.value.bookId === highlight.bookId && cursor.value.text === highlight.text) {
-          // Revive: clear deletedAt, update addedAt
-          const existing = cursor.value
+        const value = cursor.value
+        const sameSpot = highlight.cfi && value.cfi
+          ? value.cfi === highlight.cfi
+          : value.text === highlight.text && !(highlight.cfi && value.cfi)
+        if (value.bookId === highlight.bookId && sameSpot) {
+          // Revive: clear deletedAt, update addedAt (and adopt the CFI if the old record had none)
+          const existing = value
           delete existing.deletedAt
           existing.addedAt = highlight.addedAt
           existing.bookTitle = highlight.bookTitle || existing.bookTitle
+          if (highlight.cfi) existing.cfi = highlight.cfi
           store.put(existing)
+          indexRecord(tx, 'highlight', existing)
+          logChange(tx, 'highlights', existing.id)
+          savedId = existing.id
           found = true
           return // Don't continue cursor
         }
         cursor.continue()
       } else if (!found) {
         // Not found — add new
-        store.add(highlight)
+        const addReq = store.add(highlight)
+        addReq.onsuccess = () => {
+          savedId = addReq.result
+          indexRecord(tx, 'highlight', { ...highlight, id: savedId })
+          logChange(tx, 'highlights', savedId)
+        }
       }
     }
-    tx.oncomplete = () => resolve()
+    tx.oncomplete = () => resolve(savedId)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// Patch fields on an existing highlight (e.g. filling in a resolved CFI)
+export async function updateHighlight(id, fields) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['highlights', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
+    const store = tx.objectStore('highlights')
+    const getReq = store.get(id)
+    getReq.onsuccess = () => {
+      if (!getReq.result) return
+      const record = { ...getReq.result, ...fields, id }
+      store.put(record)
+      indexRecord(tx, 'highlight', record)
+      logChange(tx, 'highlights', id)
+    }
+    tx.oncomplete = resolve
     tx.onerror = () => reject(tx.error)
   })
 }
@@ -276,7 +518,7 @@ export async function deleteHighlight(id) {
   // Soft-delete by id
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('highlights', 'readwrite')
+    const tx = db.transaction(['highlights', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
     const store = tx.objectStore('highlights')
     const getReq = store.get(id)
     getReq.onsuccess = () => {
@@ -284,6 +526,8 @@ export async function deleteHighlight(id) {
         const record = getReq.result
         record.deletedAt = Date.now()
         store.put(record)
+        indexRecord(tx, 'highlight', record)
+        logChange(tx, 'highlights', record.id)
       }
     }
     tx.oncomplete = resolve
@@ -295,7 +539,7 @@ export async function deleteHighlight(id) {
 export async function deleteHighlightByText(bookId, text) {
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('highlights', 'readwrite')
+    const tx = db.transaction(['highlights', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
     const store = tx.objectStore('highlights')
     const req = store.openCursor()
     req.onsuccess = () => {
@@ -305,6 +549,8 @@ export async function deleteHighlightByText(bookId, text) {
           const record = cursor.value
           record.deletedAt = Date.now()
           store.put(record)
+          indexRecord(tx, 'highlight', record)
+          logChange(tx, 'highlights', record.id)
           resolve(true)
           return
         }
@@ -317,12 +563,51 @@ export async function deleteHighlightByText(bookId, text) {
   })
 }
 
+// Edit user fields (`note`, `color`) on a highlight. Each field is stamped with its own
+// `<field>UpdatedAt` so concurrent edits from two devices merge field by field in sync.js.
+export async function annotateHighlight(id, fields) {
+  const now = Date.now()
+  const stamped = {}
+  for (const [field, value] of Object.entries(fields)) {
+    stamped[field] = value
+    stamped[`${field}UpdatedAt`] = now
+  }
+  return updateHighlight(id, stamped)
+}
+
+// Soft-delete by bookId + CFI range
+export async function deleteHighlightByCFI(bookId, cfi) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['highlights', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
+    const store = tx.objectStore('highlights')
+    const index = store.index('bookId')
+    const req = index.openCursor(bookId)
+    let deleted = false
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return
+      if (cursor.value.cfi === cfi && !cursor.value.deletedAt) {
+        const record = { ...cursor.value, deletedAt: Date.now() }
+        cursor.update(record)
+        indexRecord(tx, 'highlight', record)
+        logChange(tx, 'highlights', record.id)
+        deleted = true
+        return
+      }
+      cursor.continue()
+    }
+    tx.oncomplete = () => resolve(deleted)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
 export async function clearHighlights() {
   const db = await openDB()
   return new Promise((resolve, reject) => {
     const tx = db.transaction('highlights', 'readwrite')
     tx.objectStore('highlights').clear()
-    tx.oncomplete = resolve
+    tx.oncomplete = () => { invalidateSearchIndex(); resolve() }
     tx.onerror = () => reject(tx.error)
   })
 }
@@ -344,8 +629,11 @@ export async function saveTranslation(bookId, original, translation) {
   const db = await openDB()
   const hash = hashText(original)
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('translations', 'readwrite')
-    tx.objectStore('translations').put({ bookId, hash, original, translation, savedAt: Date.now() })
+    const tx = db.transaction(['translations', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
+    const record = { bookId, hash, original, translation, savedAt: Date.now() }
+    tx.objectStore('translations').put(record)
+    indexRecord(tx, 'translation', record)
+    logChange(tx, 'translations', bookId)
     tx.oncomplete = () => resolve(hash)
     tx.onerror = () => reject(tx.error)
   })
@@ -395,6 +683,39 @@ export async function getBookTranslations(bookId) {
   })
 }
 
+// Full records by hash: { translation, original, savedAt, source, editedAt, flaggedAt, flagUpdatedAt }
+// `source: 'user'` marks a translation edited in the reader (otherwise machine output);
+// `flaggedAt` marks one the reader flagged as wrong (null once cleared)
+export async function getBookTranslationRecords(bookId) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('translations').objectStore('translations').index('bookId').getAll(bookId)
+    req.onsuccess = () => resolve(Object.fromEntries(req.result.map(t => [t.hash, t])))
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// Edit / flag / replace one stored translation → the updated record (null if there's none)
+export async function updateTranslation(bookId, hash, fields) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['translations', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
+    const store = tx.objectStore('translations')
+    let record = null
+    const getReq = store.get([bookId, hash])
+    getReq.onsuccess = () => {
+      if (!getReq.result) return
+      record = { ...getReq.result, ...fields }
+      for (const key of Object.keys(record)) if (record[key] === undefined) delete record[key]
+      store.put(record)
+      indexRecord(tx, 'translation', record)
+      logChange(tx, 'translations', bookId)
+    }
+    tx.oncomplete = () => resolve(record)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
 export async function clearBookTranslations(bookId) {
   const db = await openDB()
   return new Promise((resolve, reject) => {
@@ -406,7 +727,7 @@ export async function clearBookTranslations(bookId) {
       const cursor = req.result
       if (cursor) { cursor.delete(); cursor.continue() }
     }
-    tx.oncomplete = resolve
+    tx.oncomplete = () => { invalidateSearchIndex(); resolve() }
     tx.onerror = () => reject(tx.error)
   })
 }
@@ -420,25 +741,555 @@ export async function getAllTranslations() {
   })
 }
 
-export async function importTranslations(translations) {
+// `fromSync`: records just downloaded — don't log them as local changes to push back
+export async function importTranslations(translations, { fromSync = false } = {}) {
   if (!translations || !Array.isArray(translations)) return
   const db = await openDB()
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('translations', 'readwrite')
+    const tx = db.transaction(['translations', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
     const store = tx.objectStore('translations')
-    for (const t of translations) store.put(t)
+    if (!fromSync) for (const bookId of new Set(translations.map(t => t.bookId))) logChange(tx, 'translations', bookId)
+    for (const t of translations) {
+      // Synced records carry only hash + translation — keep the original text we already have
+      const getReq = store.get([t.bookId, t.hash])
+      getReq.onsuccess = () => {
+        const record = { ...t, original: t.original || getReq.result?.original }
+        if (!record.original) delete record.original
+        store.put(record)
+        indexRecord(tx, 'translation', record)
+      }
+    }
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// --- Glossary (per-book terms for consistent translation) ---
+// { bookId, term, translation, source: 'auto' | 'user', count, updatedAt, deletedAt? }
+// `auto` entries come from proper-noun extraction (glossary.js), `user` ones were added or edited
+// by hand. LWW soft-delete like vocabulary, so a removed auto term isn't extracted again.
+export async function getBookGlossary(bookId, { includeDeleted = false } = {}) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('glossary').objectStore('glossary').index('bookId').getAll(bookId)
+    req.onsuccess = () => resolve(includeDeleted ? req.result : req.result.filter(e => !e.deletedAt))
+    req.onerror = () => reject(req.error)
+  })
+}
+
+export async function getAllGlossary() {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('glossary').objectStore('glossary').getAll()
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+export async function saveGlossaryEntries(entries) {
+  if (!entries.length) return
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['glossary', CHANGE_STORE], 'readwrite')
+    const store = tx.objectStore('glossary')
+    for (const entry of entries) {
+      const { deletedAt, ...record } = { ...entry, updatedAt: Date.now() }
+      store.put(record)
+      logChange(tx, 'glossary', [record.bookId, record.term])
+    }
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function deleteGlossaryEntry(bookId, term) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['glossary', CHANGE_STORE], 'readwrite')
+    const store = tx.objectStore('glossary')
+    const getReq = store.get([bookId, term])
+    getReq.onsuccess = () => {
+      if (!getReq.result) return
+      store.put({ ...getReq.result, deletedAt: Date.now() })
+      logChange(tx, 'glossary', [bookId, term])
+    }
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// --- Book aliases (old id → content-addressed id) ---
+// Books used to get a random id per import, so the same file imported on two devices became
+// two books. Ids are now derived from the file's SHA-256 (book-import.js contentBookId); when a
+// book moves to its new id, { id: oldId, mergedInto, mergedAt } is kept — and synced — so data
+// still filed under the old id (other devices, old backups, bookmarks) finds its way over.
+export async function getBookAliases() {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('bookAliases').objectStore('bookAliases').getAll()
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// alias records → (bookId → current id), following chains
+export function bookAliasResolver(aliases) {
+  const mergedInto = new Map((aliases || []).map(a => [a.id, a.mergedInto]))
+  return bookId => {
+    const seen = new Set()
+    while (mergedInto.has(bookId) && !seen.has(bookId)) {
+      seen.add(bookId)
+      bookId = mergedInto.get(bookId)
+    }
+    return bookId
+  }
+}
+
+// Per-book device state in localStorage (shelf translation queue, reader toggles) — see index.html
+const BOOK_STATE_KEYS = ['translation-queue', 'translation-complete', 'paragraph-counts', 'translation-failures']
+const BOOK_STATE_PREFIXES = ['showTranslations_', 'progress-backup-']
+
+function moveBookState(oldId, newId) {
+  for (const key of BOOK_STATE_KEYS) {
+    let state
+    try { state = JSON.parse(localStorage.getItem(key)) } catch { continue }
+    if (!state || !(oldId in state)) continue
+    if (!(newId in state)) state[newId] = state[oldId]
+    delete state[oldId]
+    localStorage.setItem(key, JSON.stringify(state))
+  }
+  for (const prefix of BOOK_STATE_PREFIXES) {
+    const value = localStorage.getItem(prefix + oldId)
+    if (value === null) continue
+    if (localStorage.getItem(prefix + newId) === null) localStorage.setItem(prefix + newId, value)
+    localStorage.removeItem(prefix + oldId)
+  }
+}
+
+const latestAction = record => Math.max(record.addedAt || 0, record.deletedAt || 0)
+const glossaryAction = entry => Math.max(entry.updatedAt || 0, entry.deletedAt || 0)
+// A reader edit beats machine output; between two edits the later one (sync.js mergeTranslation)
+const translationWins = (t, other) => t.source === 'user' && (other.source !== 'user' || (t.editedAt || 0) > (other.editedAt || 0))
+
+// Move everything filed under `oldId` to `newId` (which may not exist yet — then it's a rename)
+// and leave an alias behind. Where both books have a record for the same thing, the same rules
+// as sync decide: progress by `lastReadAt`, highlights and glossary terms LWW, user-edited
+// translations first. Logged as local changes, so the next sync pushes the merged book.
+// → { highlights, translations } moved
+export async function mergeBookInto(oldId, newId) {
+  if (oldId === newId) return { highlights: 0, translations: 0 }
+  const db = await openDB()
+  // Read everything first — no awaits inside the write transaction (kills it on WebKit)
+  const read = await new Promise((resolve, reject) => {
+    const tx = db.transaction(['books', 'highlights', 'translations', 'glossary', 'readingSessions', 'vocabulary'])
+    const result = {}
+    const get = (name, req) => { req.onsuccess = () => { result[name] = req.result } }
+    get('oldBook', tx.objectStore('books').get(oldId))
+    get('newBook', tx.objectStore('books').get(newId))
+    get('oldHighlights', tx.objectStore('highlights').index('bookId').getAll(oldId))
+    get('newHighlights', tx.objectStore('highlights').index('bookId').getAll(newId))
+    get('oldTranslations', tx.objectStore('translations').index('bookId').getAll(oldId))
+    get('newTranslations', tx.objectStore('translations').index('bookId').getAll(newId))
+    get('oldGlossary', tx.objectStore('glossary').index('bookId').getAll(oldId))
+    get('newGlossary', tx.objectStore('glossary').index('bookId').getAll(newId))
+    get('sessions', tx.objectStore('readingSessions').index('bookId').getAll(oldId))
+    get('vocabulary', tx.objectStore('vocabulary').getAll())
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+  })
+
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['books', 'highlights', 'translations', 'glossary', 'readingSessions', 'vocabulary', 'bookAliases', ...SEARCH_STORES, CHANGE_STORE], 'readwrite')
+
+    // Book: the later reader's position, the earlier import date
+    const { oldBook, newBook } = read
+    if (oldBook) {
+      const [older, newer] = (oldBook.lastReadAt || 0) > (newBook?.lastReadAt || 0) ? [newBook, oldBook] : [oldBook, newBook]
+      const book = { ...older, ...newer, id: newId }
+      const addedAt = [oldBook.addedAt, newBook?.addedAt].filter(Boolean)
+      if (addedAt.length) book.addedAt = Math.min(...addedAt)
+      for (const field of ['contentHash', 'format', 'coverDataURL', 'paragraphCount', 'sourceLang', 'targetLang']) {
+        book[field] = book[field] || oldBook[field] || newBook?.[field] || null
+      }
+      // Shelf fields (shelf.js) by their own timestamps
+      for (const field of ['status', 'collections']) {
+        const stamp = `${field}UpdatedAt`
+        const src = (oldBook[stamp] || 0) > (newBook?.[stamp] || 0) ? oldBook : newBook
+        if (src?.[stamp]) Object.assign(book, { [field]: src[field], [stamp]: src[stamp] })
+      }
+      tx.objectStore('books').put(book)
+      tx.objectStore('books').delete(oldId)
+      indexRecord(tx, 'book', book)
+      updateSearchIndex(tx, `book:${oldId}`, null)
+      logChange(tx, 'books', newId)
+    }
+
+    // Highlights: same spot in both → LWW, the surviving record keeps the new book's id
+    const highlights = tx.objectStore('highlights')
+    const newByKey = new Map(read.newHighlights.map(hl => [highlightKey(hl), hl]))
+    for (const hl of read.oldHighlights) {
+      const moved = { ...hl, bookId: newId }
+      const existing = newByKey.get(highlightKey(moved))
+      if (existing) {
+        highlights.delete(hl.id)
+        updateSearchIndex(tx, `highlight:${hl.id}`, null)
+        if (latestAction(moved) <= latestAction(existing)) continue
+        moved.id = existing.id
+      }
+      highlights.put(moved)
+      indexRecord(tx, 'highlight', moved)
+      logChange(tx, 'highlights', moved.id)
+    }
+
+    const translations = tx.objectStore('translations')
+    const newTranslations = new Map(read.newTranslations.map(t => [t.hash, t]))
+    for (const t of read.oldTranslations) {
+      translations.delete([oldId, t.hash])
+      updateSearchIndex(tx, searchDocKey('translation', t), null)
+      const existing = newTranslations.get(t.hash)
+      if (existing && !translationWins(t, existing)) continue
+      const moved = { ...t, bookId: newId }
+      translations.put(moved)
+      indexRecord(tx, 'translation', moved)
+    }
+    if (read.oldTranslations.length) logChange(tx, 'translations', newId)
+
+    const glossary = tx.objectStore('glossary')
+    const newTerms = new Map(read.newGlossary.map(e => [e.term, e]))
+    for (const entry of read.oldGlossary) {
+      glossary.delete([oldId, entry.term])
+      const existing = newTerms.get(entry.term)
+      if (existing && glossaryAction(entry) <= glossaryAction(existing)) continue
+      glossary.put({ ...entry, bookId: newId })
+      logChange(tx, 'glossary', [newId, entry.term])
+    }
+
+    for (const session of read.sessions) {
+      tx.objectStore('readingSessions').put({ ...session, bookId: newId })
+      logChange(tx, 'readingSessions', session.id)
+    }
+
+    // Vocabulary provenance: context sentences remember the book they came from
+    for (const record of read.vocabulary) {
+      if (!record.contexts?.some(c => c.bookId === oldId)) continue
+      const contexts = new Map()
+      for (const c of record.contexts.map(c => c.bookId === oldId ? { ...c, bookId: newId } : c)) {
+        const prev = contexts.get(wordContextKey(c))
+        if (!prev || (c.addedAt || 0) >= (prev.addedAt || 0)) contexts.set(wordContextKey(c), c)
+      }
+      const contextList = [...contexts.values()].sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0)).slice(-MAX_WORD_CONTEXTS)
+      tx.objectStore('vocabulary').put({ ...record, contexts: contextList })
+      logChange(tx, 'vocabulary', record.word)
+    }
+
+    tx.objectStore('bookAliases').put({ id: oldId, mergedInto: newId, mergedAt: Date.now() })
+    logChange(tx, 'bookAliases', oldId)
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+
+  // The book file (Cache API) and per-book device state follow the book
+  const file = await getCachedEpub(oldId)
+  if (file && !await getCachedEpub(newId)) await cacheEpubFile(newId, file)
+  await deleteCachedEpub(oldId)
+  moveBookState(oldId, newId)
+
+  console.log(`📚 Merged book ${oldId} into ${newId}: ${read.oldHighlights.length} highlights, ${read.oldTranslations.length} translations`)
+  return { highlights: read.oldHighlights.length, translations: read.oldTranslations.length }
+}
+
+// Sync / backup: store alias records as they are (no change log — they came from elsewhere)
+export async function putBookAliases(aliases) {
+  if (!aliases?.length) return
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('bookAliases', 'readwrite')
+    for (const alias of aliases) tx.objectStore('bookAliases').put(alias)
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// ========== Sync change log ==========
+// Which records changed locally since the last push — sync.js uploads just those as a delta.
+// One entry per record ([store, key]); writing a record again only refreshes `changedAt`.
+// Translations are logged per book (key = bookId): they sync as one file per book.
+// Sync's own writes (applyMergedData, importTranslations fromSync) don't log, so nothing echoes.
+export const CHANGE_STORE = 'syncChanges'
+
+function logChange(tx, store, key) {
+  tx.objectStore(CHANGE_STORE).put({ store, key, changedAt: Date.now() })
+}
+
+export async function getPendingChanges() {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(CHANGE_STORE).objectStore(CHANGE_STORE).getAll()
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// Drop pushed entries — unless the record changed again while the push was in flight
+export async function clearPendingChanges(changes) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CHANGE_STORE, 'readwrite')
+    const store = tx.objectStore(CHANGE_STORE)
+    for (const change of changes) {
+      const getReq = store.get([change.store, change.key])
+      getReq.onsuccess = () => {
+        if (getReq.result && getReq.result.changedAt <= change.changedAt) store.delete([change.store, change.key])
+      }
+    }
     tx.oncomplete = resolve
     tx.onerror = () => reject(tx.error)
   })
 }
 
-// ========== Cache API for epub files ==========
+// Records by primary key (missing ones skipped) — delta sync reads just what it needs
+export async function getRecords(storeName, keys) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName)
+    const store = tx.objectStore(storeName)
+    const records = []
+    for (const key of keys) {
+      const req = store.get(key)
+      req.onsuccess = () => { if (req.result) records.push(req.result) }
+    }
+    tx.oncomplete = () => resolve(records)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// All records whose `indexName` is one of `values` (soft-deleted included)
+export async function getRecordsByIndex(storeName, indexName, values) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName)
+    const index = tx.objectStore(storeName).index(indexName)
+    const records = []
+    for (const value of values) {
+      const req = index.getAll(value)
+      req.onsuccess = () => records.push(...req.result)
+    }
+    tx.oncomplete = () => resolve(records)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+// ========== Library search index ==========
+// Inverted index behind the shelf's search box. `searchDocs` holds one entry per searchable
+// record (book, highlight, word, translation) with the terms it was indexed under, and
+// `searchIndex` holds one posting per [term, docKey]. Writers above update both inside the
+// same transaction as the record itself; ensureSearchIndex() backfills older data once.
+export const SEARCH_STORES = ['searchDocs', 'searchIndex']
+const SEARCH_INDEX_VERSION = 'v1'
+const SEARCH_INDEX_VERSION_KEY = 'search-index-version'
+const SNIPPET_LENGTH = 300
+
+// Latin-script words are indexed whole (matched by prefix); CJK runs are split into bigrams
+// plus the run's last character, so any substring of 1+ characters can be found by prefix.
+const CJK_RUN = /[\u3040-\u30ff\u3400-\u9fff\uf900-\ufaff]+/g
+
+export function searchTerms(text) {
+  const terms = new Set()
+  const lower = (text || '').toLowerCase()
+  for (const run of lower.match(CJK_RUN) || []) {
+    for (let i = 0; i < run.length - 1; i++) terms.add(run.slice(i, i + 2))
+    terms.add(run.slice(-1))
+  }
+  for (const word of lower.replace(CJK_RUN, ' ').match(/[\p{L}\p{N}]+/gu) || []) {
+    if (word.length > 1) terms.add(word)
+  }
+  return [...terms]
+}
+
+// Map a stored record to its search document (null = not searchable, e.g. soft-deleted)
+function searchDoc(type, record) {
+  if (record.deletedAt) return null
+  switch (type) {
+    case 'book':
+      return { type, bookId: record.id, title: record.title || '', text: record.author || '', time: record.lastReadAt || 0 }
+    case 'highlight':
+      return { type, bookId: record.bookId, bookTitle: record.bookTitle || '', ref: record.id, cfi: record.cfi || null, title: record.text || '', text: record.note || '', color: record.color || null, time: record.addedAt || 0 }
+    case 'word':
+      return { type, bookTitle: record.book || '', ref: record.word, title: [record.word, ...(record.forms || [])].join(' · '), text: record.translation || '', time: record.addedAt || 0 }
+    case 'translation':
+      return { type, bookId: record.bookId, ref: record.hash, title: record.original || '', text: record.translation || '', time: record.savedAt || 0 }
+  }
+  return null
+}
+
+function searchDocKey(type, record) {
+  switch (type) {
+    case 'book': return `book:${record.id}`
+    case 'highlight': return `highlight:${record.id}`
+    case 'word': return `word:${record.word}`
+    case 'translation': return `translation:${record.bookId}:${record.hash}`
+  }
+}
+
+// Index (or un-index) a record inside a transaction that includes SEARCH_STORES
+export function indexRecord(tx, type, record) {
+  updateSearchIndex(tx, searchDocKey(type, record), searchDoc(type, record))
+}
+
+function updateSearchIndex(tx, key, doc) {
+  const docs = tx.objectStore('searchDocs')
+  const postings = tx.objectStore('searchIndex')
+  const getReq = docs.get(key)
+  getReq.onsuccess = () => {
+    const oldTerms = new Set(getReq.result?.terms || [])
+    const terms = doc ? searchTerms(`${doc.title} ${doc.text}`) : []
+    const newTerms = new Set(terms)
+    for (const term of oldTerms) if (!newTerms.has(term)) postings.delete([term, key])
+    for (const term of newTerms) if (!oldTerms.has(term)) postings.put({ term, key })
+    if (doc) {
+      docs.put({ ...doc, key, title: doc.title.slice(0, SNIPPET_LENGTH), text: doc.text.slice(0, SNIPPET_LENGTH), terms })
+    } else {
+      docs.delete(key)
+    }
+  }
+}
+
+// Bulk operations (clear*) don't touch the index — mark it stale so it's rebuilt on next search
+export function invalidateSearchIndex() {
+  localStorage.removeItem(SEARCH_INDEX_VERSION_KEY)
+}
+
+// False until ensureSearchIndex() has (re)built the index — the first search waits for it
+export function isSearchIndexBuilt() {
+  return localStorage.getItem(SEARCH_INDEX_VERSION_KEY) === SEARCH_INDEX_VERSION
+}
+
+let searchIndexBuild = null
+
+// Rebuild the whole index if it predates this version (first run, or after a bulk clear)
+export function ensureSearchIndex() {
+  if (isSearchIndexBuilt()) return Promise.resolve()
+  if (!searchIndexBuild) {
+    searchIndexBuild = rebuildSearchIndex().finally(() => { searchIndexBuild = null })
+  }
+  return searchIndexBuild
+}
+
+async function rebuildSearchIndex() {
+  const started = Date.now()
+  const db = await openDB()
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(SEARCH_STORES, 'readwrite')
+    for (const name of SEARCH_STORES) tx.objectStore(name).clear()
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+  const sources = [['books', 'book'], ['highlights', 'highlight'], ['vocabulary', 'word'], ['translations', 'translation']]
+  let count = 0
+  for (const [storeName, type] of sources) {
+    const records = await new Promise((resolve, reject) => {
+      const req = db.transaction(storeName).objectStore(storeName).getAll()
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+    // Chunked so a large translations store doesn't hold one giant transaction
+    for (let i = 0; i < records.length; i += 200) {
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(SEARCH_STORES, 'readwrite')
+        for (const record of records.slice(i, i + 200)) indexRecord(tx, type, record)
+        tx.oncomplete = resolve
+        tx.onerror = () => reject(tx.error)
+      })
+    }
+    count += records.length
+  }
+  localStorage.setItem(SEARCH_INDEX_VERSION_KEY, SEARCH_INDEX_VERSION)
+  console.log(`🔍 Search index built: ${count} records in ${Date.now() - started}ms`)
+}
+
+// Query the index. Every query term must match (by prefix); results grouped by type, newest first.
+export async function searchLibrary(query, limit = 30) {
+  const terms = searchTerms(query)
+  const result = { book: [], highlight: [], word: [], translation: [] }
+  if (!terms.length) return result
+  await ensureSearchIndex()
+  const db = await openDB()
+  const request = req => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+  let matches = null
+  for (const term of terms) {
+    // One short transaction per lookup (awaiting inside a transaction kills it on WebKit)
+    const range = IDBKeyRange.bound([term], [term + '\uffff'])
+    const postingKeys = await request(db.transaction('searchIndex').objectStore('searchIndex').getAllKeys(range))
+    const keys = new Set(postingKeys.map(([, key]) => key))
+    matches = matches ? new Set([...matches].filter(key => keys.has(key))) : keys
+    if (!matches.size) return result
+  }
+  const docs = db.transaction('searchDocs').objectStore('searchDocs')
+  const found = await Promise.all([...matches].map(key => request(docs.get(key))))
+  for (const doc of found.filter(Boolean).sort((a, b) => b.time - a.time)) {
+    const group = result[doc.type]
+    if (group && group.length < limit) {
+      const { terms, ...rest } = doc
+      group.push(rest)
+    }
+  }
+  return result
+}
+
+// ========== Offline dictionary (ECDICT) ==========
+// One record per lowercase headword: { word, phonetic, translation, exchange }.
+// Filled once by dict.js from dict-ecdict.json; lookups are single indexed gets.
+export async function getDictionaryEntry(word) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('dictionary').objectStore('dictionary').get(word)
+    req.onsuccess = () => resolve(req.result || null)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+export async function putDictionaryEntries(entries) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('dictionary', 'readwrite')
+    const store = tx.objectStore('dictionary')
+    for (const entry of entries) store.put(entry)
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function clearDictionary() {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('dictionary', 'readwrite')
+    tx.objectStore('dictionary').clear()
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function countDictionaryEntries() {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('dictionary').objectStore('dictionary').count()
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// ========== Cache API for book files ==========
+// Any supported format (formats.js) despite the names; the MIME type is kept so the file reopens
+// with the right parser
 const EPUB_CACHE = 'nixbook-epub-files'
 
 export async function cacheEpubFile(bookId, file) {
   try {
     const cache = await caches.open(EPUB_CACHE)
-    const response = new Response(file, { headers: { 'Content-Type': 'application/epub+zip' } })
+    const response = new Response(file, { headers: { 'Content-Type': formatInfo(formatOfFile(file)).mime } })
     await cache.put(`/epub/${bookId}`, response)
   } catch (e) { console.warn('Failed to cache epub:', e) }
 }
@@ -449,7 +1300,7 @@ export async function getCachedEpub(bookId) {
     const response = await cache.match(`/epub/${bookId}`)
     if (!response) return null
     const blob = await response.blob()
-    return new File([blob], `${bookId}.epub`, { type: 'application/epub+zip' })
+    return bookFile(blob, formatOfType(response.headers.get('Content-Type')), bookId)
   } catch { return null }
 }
 
@@ -0,0 +1,84 @@
+// Runs translateParagraphs against the mock server:  node dev/check-translate.js
+// Covers 429 + Retry-After, 5xx retries, and replies that drop or merge numbered paragraphs.
+// Exits non-zero on the first failed check (takes a few seconds — retries really wait).
+import assert from 'node:assert/strict'
+import { translateParagraphs } from '../translate.js'
+import { startMockTranslationServer } from './mock-translation-server.js'
+
+const PARAGRAPHS = ['One.', 'Two.', 'Three.', 'Four.']
+const REQUEST = { source: 'en', target: 'zh' }
+const expected = Object.fromEntries(PARAGRAPHS.map((p, i) => [i + 1, `译:${p}`]))
+
+async function withServer(faults, run) {
+  const server = await startMockTranslationServer(faults)
+  try {
+    await run(server, { provider: 'openai', baseUrl: server.url, model: 'mock', apiKey: '' })
+  } finally {
+    await server.close()
+  }
+}
+
+const checks = {
+  async 'clean reply'() {
+    await withServer([], async (server, config) => {
+      assert.deepEqual(await translateParagraphs(PARAGRAPHS, REQUEST, config), { translations: expected, failed: [], error: null })
+      assert.equal(server.requests.length, 1)
+    })
+  },
+
+  async '429 waits for Retry-After, then retries'() {
+    await withServer(['429'], async (server, config) => {
+      const retries = []
+      const started = Date.now()
+      const result = await translateParagraphs(PARAGRAPHS, REQUEST, config, { onRetry: r => retries.push(r) })
+      assert.deepEqual(result.translations, expected)
+      assert.equal(retries.length, 1)
+      assert.equal(retries[0].delay, 1000)
+      assert.ok(Date.now() - started >= 1000)
+    })
+  },
+
+  async '5xx is retried with backoff'() {
+    await withServer(['503'], async (server, config) => {
+      const retries = []
+      const result = await translateParagraphs(PARAGRAPHS, REQUEST, config, { onRetry: r => retries.push(r) })
+      assert.deepEqual(result, { translations: expected, failed: [], error: null })
+      assert.equal(retries[0].error.status, 503)
+    })
+  },
+
+  async 'a dropped paragraph is re-requested with the one before it'() {
+    await withServer(['drop'], async (server, config) => {
+      assert.deepEqual((await translateParagraphs(PARAGRAPHS, REQUEST, config)).translations, expected)
+      assert.deepEqual(Object.values(server.requests[1].paragraphs), ['Three.', 'Four.'])
+    })
+  },
+
+  async 'merged paragraphs are split apart by re-requesting them'() {
+    await withServer(['merge'], async (server, config) => {
+      const result = await translateParagraphs(PARAGRAPHS, REQUEST, config)
+      assert.deepEqual(result, { translations: expected, failed: [], error: null })
+      assert.equal(server.requests.length, 2)
+    })
+  },
+
+  async 'a merged reply is kept when the re-request keeps failing'() {
+    // merge, then the re-request of [3, 4] loses [4] again, then each single one fails
+    await withServer(['merge', 'merge', 'drop', 'drop'], async (server, config) => {
+      const result = await translateParagraphs(PARAGRAPHS, REQUEST, config)
+      assert.equal(result.translations[3], '译:Three. 译:Four.')
+      assert.deepEqual(result.failed, [4])
+      assert.equal(result.error, '译文缺失')
+    })
+  },
+}
+
+for (const [name, run] of Object.entries(checks)) {
+  try {
+    await run()
+    console.log(`✅ ${name}`)
+  } catch (e) {
+    console.error(`❌ ${name}\n`, e)
+    process.exit(1)
+  }
+}
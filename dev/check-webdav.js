@@ -0,0 +1,90 @@
+// Runs webdav.js against the in-memory stand-in:  node dev/check-webdav.js
+// Covers conditional PUT (If-Match / If-None-Match), 412 → ConflictError, MKCOL of missing parents,
+// PROPFIND listing and servers that withhold ETags. Exits non-zero on the first failed check.
+import assert from 'node:assert/strict'
+import { createWebDAVProvider } from '../webdav.js'
+import { createWebDAVStandIn } from './webdav-stand-in.js'
+
+const server = createWebDAVStandIn('https://dav.test/remote.php/dav/files/me/NixBook')
+const dav = createWebDAVProvider({ url: 'https://dav.test/remote.php/dav/files/me/NixBook/', username: '读者', password: 'pw' }, server.fetch)
+
+async function rejectsWithConflict(promise) {
+  await assert.rejects(promise, e => e.name === 'ConflictError')
+}
+
+const checks = {
+  async 'missing file reads as null'() {
+    assert.deepEqual(await dav.getJSONRev('epub-reader-data.json'), { data: null, rev: null })
+    assert.equal(await dav.getBlob('books/none.epub'), null)
+  },
+
+  async 'create-only PUT writes once, then conflicts'() {
+    const rev = await dav.putJSON('epub-reader-data.json', { books: [] }, { rev: null })
+    assert.ok(rev)
+    assert.equal(server.requests.at(-1).headers['If-None-Match'], '*')
+    await rejectsWithConflict(dav.putJSON('epub-reader-data.json', { books: [1] }, { rev: null }))
+    assert.deepEqual(await dav.getJSON('epub-reader-data.json'), { books: [] })
+  },
+
+  async 'If-Match PUT succeeds on the current ETag and conflicts on a stale one'() {
+    const { rev } = await dav.getJSONRev('epub-reader-data.json')
+    const newRev = await dav.putJSON('epub-reader-data.json', { books: ['a'] }, { rev })
+    assert.notEqual(newRev, rev)
+    assert.equal(server.requests.at(-1).headers['If-Match'], rev)
+    await rejectsWithConflict(dav.putJSON('epub-reader-data.json', { books: ['stale'] }, { rev }))
+    assert.deepEqual(await dav.getJSON('epub-reader-data.json'), { books: ['a'] })
+  },
+
+  async 'PUT into a missing folder creates its parents'() {
+    await dav.putBlob('translations/book 1/zh.json', new Blob(['{}'], { type: 'application/json' }))
+    assert.ok(server.collections.has('translations/book 1'))
+    assert.equal(await (await dav.getBlob('translations/book 1/zh.json')).text(), '{}')
+  },
+
+  async 'PROPFIND lists files with their ETags, not collections'() {
+    await dav.putJSON('deltas/1-a.json', { n: 1 })
+    await dav.putJSON('deltas/2-b c.json', { n: 2 })
+    await server.fetch('https://dav.test/remote.php/dav/files/me/NixBook/deltas/sub', { method: 'MKCOL' })
+    const revs = await dav.listRevs('deltas')
+    assert.deepEqual(Object.keys(revs).sort(), ['1-a.json', '2-b c.json'])
+    assert.equal(revs['1-a.json'], server.files.get('deltas/1-a.json').etag)
+    assert.deepEqual(await dav.list('missing'), [])
+  },
+
+  async 'DELETE removes the file and tolerates a missing one'() {
+    await dav.delete('deltas/1-a.json')
+    await dav.delete('deltas/1-a.json')
+    assert.deepEqual(await dav.list('deltas'), ['2-b c.json'])
+  },
+
+  async 'sends UTF-8 Basic credentials'() {
+    const auth = server.requests.at(-1).headers.Authorization
+    assert.equal(Buffer.from(auth.replace('Basic ', ''), 'base64').toString(), '读者:pw')
+  },
+
+  async 'PUT without an ETag in the response reads it with a HEAD'() {
+    const quiet = createWebDAVStandIn('https://dav.test/dav', { etagOnPut: false })
+    const quietDav = createWebDAVProvider({ url: 'https://dav.test/dav' }, quiet.fetch)
+    const rev = await quietDav.putJSON('epub-reader-data.json', {}, { rev: null })
+    assert.equal(rev, quiet.files.get('epub-reader-data.json').etag)
+    assert.equal(quiet.requests.at(-1).method, 'HEAD')
+  },
+
+  async 'an existing file without a readable ETag is an error, never an unconditional rev'() {
+    const hidden = createWebDAVStandIn('https://dav.test/dav', { exposeETags: false })
+    const hiddenDav = createWebDAVProvider({ url: 'https://dav.test/dav' }, hidden.fetch)
+    await assert.rejects(hiddenDav.putJSON('epub-reader-data.json', {}, { rev: null }), /no ETag/)
+    await assert.rejects(hiddenDav.getJSONRev('epub-reader-data.json'), /no ETag/)
+    assert.deepEqual(await hiddenDav.getJSON('epub-reader-data.json'), {})
+  },
+}
+
+for (const [name, run] of Object.entries(checks)) {
+  try {
+    await run()
+    console.log(`✅ ${name}`)
+  } catch (e) {
+    console.error(`❌ ${name}\n`, e)
+    process.exit(1)
+  }
+}
@@ -0,0 +1,62 @@
+// OpenAI-compatible translation server with scripted faults, for exercising translate.js.
+//   node dev/mock-translation-server.js [fault ...]   → http://127.0.0.1:8787/v1 (PORT to change)
+// Point settings → 翻译 at it (OpenAI 兼容, any model). Each listed fault is applied to one request,
+// in order; after that every request succeeds:
+//   429        rate limited, Retry-After: 1
+//   503        server error
+//   drop       reply without the last paragraph
+//   merge      last paragraph merged into the one before it (its own [n] missing)
+// Successful replies translate "[n] text" as "[n] 译:text".
+import { createServer } from 'node:http'
+import { fileURLToPath } from 'node:url'
+import { parseNumbered } from '../translate.js'
+
+const CORS = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': '*', 'Access-Control-Expose-Headers': 'Retry-After' }
+
+// Paragraphs of the prompt: everything from the first "[1]" on
+function promptParagraphs(prompt) {
+  const start = prompt.search(/^\[1\]/m)
+  return start < 0 ? {} : parseNumbered(prompt.slice(start))
+}
+
+function reply(paragraphs, fault) {
+  const numbers = Object.keys(paragraphs).map(Number).sort((a, b) => a - b)
+  const lines = numbers.map(n => [n, `译:${paragraphs[n]}`])
+  if (numbers.length > 1 && fault === 'drop') lines.pop()
+  if (numbers.length > 1 && fault === 'merge') {
+    const [, merged] = lines.pop()
+    lines[lines.length - 1][1] += ` ${merged}`
+  }
+  if (numbers.length === 1 && (fault === 'drop' || fault === 'merge')) return ''
+  return lines.map(([n, text]) => `[${n}] ${text}`).join('\n\n')
+}
+
+// faults: queue consumed one per request. Resolves to { url, requests, close } once listening;
+// `requests` records { paragraphs, fault } for every chat completion received.
+export function startMockTranslationServer(faults = [], port = 0) {
+  const queue = [...faults]
+  const requests = []
+  const server = createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') { res.writeHead(204, CORS).end(); return }
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) { res.writeHead(404, CORS).end(); return }
+    let body = ''
+    for await (const chunk of req) body += chunk
+    const paragraphs = promptParagraphs(JSON.parse(body).messages?.[0]?.content || '')
+    const fault = queue.shift() || null
+    requests.push({ paragraphs, fault })
+    if (fault === '429') { res.writeHead(429, { ...CORS, 'Retry-After': '1' }).end('rate limited'); return }
+    if (fault === '503') { res.writeHead(503, CORS).end('upstream unavailable'); return }
+    res.writeHead(200, { ...CORS, 'Content-Type': 'application/json' })
+    res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply(paragraphs, fault) } }] }))
+  })
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(r => server.close(r)),
+  })))
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { url } = await startMockTranslationServer(process.argv.slice(2), Number(process.env.PORT) || 8787)
+  console.log(`📚 Mock translation server at ${url} — faults: ${process.argv.slice(2).join(' ') || 'none'}`)
+}
@@ -0,0 +1,62 @@
+// In-memory WebDAV server behind a fetch() lookalike — pass it to createWebDAVProvider(config, fetch)
+// to run the provider without a real server. Implements just what webdav.js sends: GET, HEAD,
+// PUT with If-Match / If-None-Match: *, MKCOL, PROPFIND Depth 1 and DELETE. Parents must exist for
+// PUT (409), like Apache mod_dav; every write gets a fresh ETag.
+//   etagOnPut: false     — PUT responses carry no ETag (some servers only send it on GET / HEAD)
+//   exposeETags: false   — no ETag header at all, as a browser sees a server without CORS exposure
+export function createWebDAVStandIn(rootUrl = 'https://dav.test/files', { etagOnPut = true, exposeETags = true } = {}) {
+  const rootPath = new URL(rootUrl).pathname.replace(/\/+$/, '')
+  const files = new Map()             // 'dir/name.json' → { body: ArrayBuffer, type, etag }
+  const collections = new Set([''])   // '' is the root
+  const requests = []                 // { method, path, headers } of every call, for assertions
+  let nextTag = 1
+
+  const parentOf = path => path.split('/').slice(0, -1).join('/')
+  const reply = (status, body = null, { ETag, ...headers } = {}) =>
+    new Response(body, { status, headers: ETag && exposeETags ? { ...headers, ETag } : headers })
+
+  async function fetchImpl(url, { method = 'GET', body, headers = {} } = {}) {
+    const path = decodeURIComponent(new URL(url).pathname.slice(rootPath.length)).replace(/^\/+|\/+$/g, '')
+    requests.push({ method, path, headers })
+    const file = files.get(path)
+
+    switch (method) {
+      case 'GET':
+        return file ? reply(200, file.body.slice(0), { 'Content-Type': file.type, ETag: file.etag }) : reply(404)
+      case 'HEAD':
+        return file ? reply(200, null, { 'Content-Type': file.type, ETag: file.etag }) : reply(404)
+      case 'PUT': {
+        if (!collections.has(parentOf(path))) return reply(409)
+        if (headers['If-None-Match'] === '*' && file) return reply(412)
+        if (headers['If-Match'] && headers['If-Match'] !== file?.etag) return reply(412)
+        const etag = `"${nextTag++}"`
+        files.set(path, { body: await new Response(body).arrayBuffer(), type: headers['Content-Type'], etag })
+        return reply(file ? 204 : 201, null, etagOnPut ? { ETag: etag } : {})
+      }
+      case 'MKCOL':
+        if (collections.has(path) || files.has(path)) return reply(405)
+        if (!collections.has(parentOf(path))) return reply(409)
+        collections.add(path)
+        return reply(201)
+      case 'PROPFIND': {
+        if (!collections.has(path)) return reply(file && headers.Depth === '0' ? 207 : 404)
+        const base = `${rootPath}/${path ? path + '/' : ''}`
+        const entry = (href, props) => `<D:response><D:href>${href}</D:href><D:propstat><D:prop>${props}</D:prop></D:propstat></D:response>`
+        const members = headers.Depth === '0' ? [] : [
+          ...[...collections].filter(c => c && parentOf(c) === path)
+            .map(c => entry(`${base}${encodeURIComponent(c.split('/').pop())}/`, '<D:resourcetype><D:collection/></D:resourcetype>')),
+          ...[...files].filter(([p]) => parentOf(p) === path)
+            .map(([p, f]) => entry(`${base}${encodeURIComponent(p.split('/').pop())}`, `<D:resourcetype/><D:getetag>${f.etag.replace(/"/g, '&quot;')}</D:getetag>`)),
+        ]
+        const xml = `<?xml version="1.0"?><D:multistatus xmlns:D="DAV:">${entry(base, '<D:resourcetype><D:collection/></D:resourcetype>')}${members.join('')}</D:multistatus>`
+        return reply(207, xml, { 'Content-Type': 'application/xml' })
+      }
+      case 'DELETE':
+        return files.delete(path) ? reply(204) : reply(404)
+      default:
+        return reply(405)
+    }
+  }
+
+  return { fetch: fetchImpl, files, collections, requests }
+}
@@ -0,0 +1,185 @@
+// Offline Dictionary (ECDICT 80k)
+// dict-ecdict.json is imported ONCE into the IndexedDB `dictionary` store (see db.js),
+// so opening the reader no longer downloads and parses a 5MB JSON every time.
+// Bump DICT_VERSION when a new dictionary file ships — clients re-import on next use.
+import { getDictionaryEntry, putDictionaryEntries, clearDictionary, countDictionaryEntries } from './db.js'
+import { lemmaCandidates } from './lemma.js'
+
+// v2: import also records inflection → lemma links from ECDICT's exchange field
+export const DICT_VERSION = 'ecdict-80k-v2'
+const DICT_URL = `dict-ecdict.json?v=${DICT_VERSION}`
+const DICT_VERSION_KEY = 'dict-version'
+// Set while the store is being cleared and refilled: an import cut short (tab closed) leaves a
+// partial store, which must not count as ready even though `dict-version` still names it
+const DICT_INCOMPLETE_KEY = 'dict-import-incomplete'
+const IMPORT_CHUNK = 5000
+
+let importing = null
+let pendingEntries = null  // parsed JSON while an import runs — lookups use it until the store is ready
+const progressListeners = new Set()  // every caller waiting on the running import
+let lastProgress = null
+
+export function isDictionaryReady() {
+  return localStorage.getItem(DICT_VERSION_KEY) === DICT_VERSION && localStorage.getItem(DICT_INCOMPLETE_KEY) === null
+}
+
+export async function getDictionaryStatus() {
+  return {
+    version: localStorage.getItem(DICT_VERSION_KEY),
+    latest: DICT_VERSION,
+    count: await countDictionaryEntries().catch(() => 0),
+    importing: !!importing,
+  }
+}
+
+// Import if the store is missing or outdated. `onProgress({ stage, percent })`, stage = 'download' | 'import'
+export function ensureDictionary(onProgress) {
+  if (isDictionaryReady()) return Promise.resolve()
+  return importDictionary(onProgress)
+}
+
+// (Re-)import unconditionally — used by the settings panel. A caller joining a running import
+// gets its progress too (starting with the latest report)
+export function importDictionary(onProgress) {
+  if (onProgress) {
+    progressListeners.add(onProgress)
+    if (importing && lastProgress) onProgress(lastProgress)
+  }
+  if (!importing) {
+    importing = runImport(reportProgress).finally(() => {
+      importing = null
+      pendingEntries = null
+      lastProgress = null
+      progressListeners.clear()
+    })
+  }
+  return importing
+}
+
+function reportProgress(progress) {
+  lastProgress = progress
+  for (const listener of progressListeners) listener(progress)
+}
+
+async function runImport(onProgress) {
+  const started = Date.now()
+  console.log('📖 Downloading offline dictionary...')
+  onProgress({ stage: 'download', percent: 0 })
+  const res = await fetch(DICT_URL)
+  if (!res.ok) throw new Error(`Dictionary download failed: ${res.status}`)
+  const data = JSON.parse(await readWithProgress(res, percent => onProgress({ stage: 'download', percent })))
+  pendingEntries = data
+
+  localStorage.setItem(DICT_INCOMPLETE_KEY, DICT_VERSION)
+  await clearDictionary()
+  const records = buildRecords(data)
+  for (let i = 0; i < records.length; i += IMPORT_CHUNK) {
+    await putDictionaryEntries(records.slice(i, i + IMPORT_CHUNK))
+    onProgress({ stage: 'import', percent: Math.round(Math.min(i + IMPORT_CHUNK, records.length) / records.length * 100) })
+  }
+  localStorage.setItem(DICT_VERSION_KEY, DICT_VERSION)
+  localStorage.removeItem(DICT_INCOMPLETE_KEY)
+  console.log(`📖 Dictionary imported: ${records.length} entries in ${Date.now() - started}ms`)
+  dropOldDictionaryFiles()
+}
+
+// Entry format: word → [phonetic, translation, exchange?]
+// ECDICT exchange: "p:went/d:gone/i:going/3:goes" on a lemma, "0:go/1:p" on an inflected form.
+// Inflected forms become `{ word, lemma }` links — stubs if the form has no entry of its own.
+function buildRecords(data) {
+  const records = new Map()
+  for (const [word, [phonetic = '', translation = '', exchange = '']] of Object.entries(data)) {
+    const record = { word, phonetic, translation, exchange }
+    const lemma = parseExchange(exchange)['0']
+    if (lemma && lemma !== word) record.lemma = lemma
+    records.set(word, record)
+  }
+  for (const record of [...records.values()]) {
+    if (record.lemma) continue
+    for (const [type, form] of Object.entries(parseExchange(record.exchange))) {
+      if (type === '0' || type === '1' || form === record.word) continue
+      const existing = records.get(form)
+      if (!existing) records.set(form, { word: form, lemma: record.word })
+      else if (!existing.lemma && !existing.translation) existing.lemma = record.word
+    }
+  }
+  return [...records.values()]
+}
+
+function parseExchange(exchange) {
+  const out = {}
+  for (const part of (exchange || '').split('/')) {
+    const [type, value] = part.split(':')
+    if (type && value) out[type] = value.toLowerCase()
+  }
+  return out
+}
+
+async function readWithProgress(res, onPercent) {
+  const total = parseInt(res.headers.get('Content-Length') || '0', 10)
+  if (!total || !res.body) return res.text()
+  const reader = res.body.getReader()
+  const chunks = []
+  let received = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    chunks.push(value)
+    received += value.length
+    onPercent(Math.min(99, Math.round(received / total * 100)))
+  }
+  return new TextDecoder().decode(await new Blob(chunks).arrayBuffer())
+}
+
+// sw.js keeps the JSON in its runtime cache; copies for older versions are dead weight now
+async function dropOldDictionaryFiles() {
+  try {
+    const cache = await caches.open('nixbook-runtime')
+    for (const req of await cache.keys()) {
+      const url = new URL(req.url)
+      if (url.pathname.endsWith('/dict-ecdict.json') && url.searchParams.get('v') !== DICT_VERSION) await cache.delete(req)
+    }
+  } catch {}
+}
+
+async function getEntry(word) {
+  if (pendingEntries) {
+    const entry = pendingEntries[word]
+    if (!entry) return null
+    const [phonetic = '', translation = '', exchange = ''] = entry
+    const lemma = parseExchange(exchange)['0']
+    return { word, phonetic, translation, exchange, lemma: lemma !== word ? lemma : undefined }
+  }
+  if (!isDictionaryReady()) return null
+  return getDictionaryEntry(word).catch(() => null)
+}
+
+// ECDICT glosses inflected headwords like "v. go的过去式" — treat those as links too
+const INFLECTION_GLOSS = /([a-z]+)的(?:过去式|过去分词|现在分词|复数|第三人称单数|比较级|最高级)/
+
+function inflectionBase(entry) {
+  return entry.lemma || entry.translation?.match(INFLECTION_GLOSS)?.[1] || null
+}
+
+// Base form of a word as seen in the text: "running" → "run", "studies" → "study", "went" → "go".
+// Order: dictionary links (exchange / gloss) → the word's own headword → irregular table + suffix rules.
+export async function resolveLemma(surface) {
+  const word = surface.toLowerCase().trim()
+  const entry = await getEntry(word)
+  const base = entry && inflectionBase(entry)
+  if (base && base !== word && (await getEntry(base))?.translation) return base
+  if (entry?.translation) return word
+  for (const candidate of lemmaCandidates(word)) {
+    if ((await getEntry(candidate))?.translation) return candidate
+  }
+  return word
+}
+
+// Lemma-aware lookup → { word (lemma), surface, phonetic, translation, exchange } or null
+export async function lookupWord(surface) {
+  surface = surface.toLowerCase().trim()
+  const word = await resolveLemma(surface)
+  const entry = await getEntry(word)
+  if (!entry?.translation) return null
+  return { word, surface, phonetic: entry.phonetic, translation: entry.translation, exchange: entry.exchange }
+}
@@ -1,12 +1,10 @@
-// Dropbox Sync Module
+// Dropbox Sync Module — OAuth (PKCE) + the storage provider used by sync.js (see storage.js)
 // API Key 配置
 const DROPBOX_APP_KEY = 'c48i0tkl0702fno'
 
-const DROPBOX_DATA_PATH = '/epub-reader-data.json'
 const TOKEN_KEY = 'dropbox-access-token'
 const REFRESH_TOKEN_KEY = 'dropbox-refresh-token'
 const TOKEN_EXPIRES_KEY = 'dropbox-token-expires'
-const SYNC_STATUS_KEY = 'dropbox-sync-status'
 
 // Check if Dropbox is configured
 export function isDropboxConfigured() {
@@ -45,7 +43,6 @@ export function clearAccessToken() {
   localStorage.removeItem(TOKEN_KEY)
   localStorage.removeItem(REFRESH_TOKEN_KEY)
   localStorage.removeItem(TOKEN_EXPIRES_KEY)
-  localStorage.removeItem(SYNC_STATUS_KEY)
 }
 
 // Check if token is expired or about to expire
@@ -210,81 +207,21 @@ export async function handleAuthCallback() {
   }
 }
 
-// Upload data to Dropbox
-export async function uploadData(data) {
-  const token = await getValidAccessToken()
-  
-  const response = await fetch('https://content.dropboxapi.com/2/files/upload', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/octet-stream',
-      'Dropbox-API-Arg': JSON.stringify({
-        path: DROPBOX_DATA_PATH,
-        mode: 'overwrite',
-        autorename: false,
-        mute: true,
-      }),
-    },
-    body: JSON.stringify(data, null, 2),
-  })
-  
-  if (!response.ok) {
-    const error = await response.text()
-    throw new Error(`Upload failed: ${error}`)
-  }
-  
-  localStorage.setItem(SYNC_STATUS_KEY, JSON.stringify({
-    lastSync: Date.now(),
-    status: 'success'
-  }))
-  
-  return true
-}
-
-// Download data from Dropbox
-export async function downloadData() {
-  const token = await getValidAccessToken()
-  
-  const response = await fetch('https://content.dropboxapi.com/2/files/download', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Dropbox-API-Arg': JSON.stringify({ path: DROPBOX_DATA_PATH }),
-    },
-  })
-  
-  if (response.status === 409) {
-    // File not found - return empty data
-    return null
-  }
-  
-  if (!response.ok) {
-    const error = await response.text()
-    throw new Error(`Download failed: ${error}`)
-  }
-  
-  const data = await response.json()
-  
-  localStorage.setItem(SYNC_STATUS_KEY, JSON.stringify({
-    lastSync: Date.now(),
-    status: 'success'
-  }))
-  
-  return data
-}
+// --- Files ---
+// Provider paths are relative ("books/<id>.epub"); Dropbox wants them rooted at the app folder
 
-// Get sync status
-export function getSyncStatus() {
-  const status = localStorage.getItem(SYNC_STATUS_KEY)
-  return status ? JSON.parse(status) : null
+function dropboxPath(path) {
+  const trimmed = path.replace(/^\/+/, '').replace(/\/+$/, '')
+  return trimmed ? '/' + trimmed : ''  // the API names the root "", not "/"
 }
 
-// Upload a book file to Dropbox
-export async function uploadBook(bookId, file) {
+// rev: undefined = overwrite, null = only if the file doesn't exist yet, string = only if
+// the file is still at that revision. Returns the new rev; a lost race throws an Error named 'ConflictError'.
+async function uploadFile(path, body, rev) {
   const token = await getValidAccessToken()
-  
-  const path = `/books/${bookId}.epub`
+  const mode = rev === undefined ? 'overwrite'
+    : rev === null ? 'add'
+    : { '.tag': 'update', update: rev }
   
   const response = await fetch('https://content.dropboxapi.com/2/files/upload', {
     method: 'POST',
@@ -292,34 +229,35 @@ export async function uploadBook(bookId, file) {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/octet-stream',
       'Dropbox-API-Arg': JSON.stringify({
-        path,
-        mode: 'overwrite',
+        path: dropboxPath(path),
+        mode,
         autorename: false,
         mute: true,
       }),
     },
-    body: file,
+    body,
   })
   
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`Book upload failed: ${error}`)
+    if (response.status === 409 && error.includes('path/conflict')) {
+      throw Object.assign(new Error(`Conflict: ${path} changed remotely`), { name: 'ConflictError' })
+    }
+    throw new Error(`Upload failed (${path}): ${error}`)
   }
   
-  return true
+  return (await response.json()).rev
 }
 
-// Download a book file from Dropbox
-export async function downloadBook(bookId) {
+// Response, or null if the file doesn't exist
+async function downloadFile(path) {
   const token = await getValidAccessToken()
   
-  const path = `/books/${bookId}.epub`
-  
   const response = await fetch('https://content.dropboxapi.com/2/files/download', {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${token}`,
-      'Dropbox-API-Arg': JSON.stringify({ path }),
+      'Dropbox-API-Arg': JSON.stringify({ path: dropboxPath(path) }),
     },
   })
   
@@ -329,14 +267,23 @@ export async function downloadBook(bookId) {
   
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`Book download failed: ${error}`)
+    throw new Error(`Download failed (${path}): ${error}`)
   }
   
-  return await response.blob()
+  return response
+}
+
+// Revision of a downloaded file (Dropbox-API-Result header). Missing is an error, not "unknown":
+// the upload based on this download must stay conditional
+function responseRev(response, path) {
+  let rev
+  try { rev = JSON.parse(response.headers.get('Dropbox-API-Result')).rev } catch {}
+  if (!rev) throw new Error(`Download of ${path} returned no revision`)
+  return rev
 }
 
-// List books in Dropbox
-export async function listBooks() {
+// { name: rev } for the files directly inside `dir`
+async function listFolder(dir) {
   const token = await getValidAccessToken()
   
   const response = await fetch('https://api.dropboxapi.com/2/files/list_folder', {
@@ -345,82 +292,85 @@ export async function listBooks() {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify({ path: '/books' }),
+    body: JSON.stringify({ path: dropboxPath(dir) }),
   })
   
   if (response.status === 409) {
-    return [] // Folder not found
+    return {} // Folder not found
   }
   
   if (!response.ok) {
     const error = await response.text()
-    throw new Error(`List books failed: ${error}`)
+    throw new Error(`List failed (${dir}): ${error}`)
   }
   
-  const data = await response.json()
-  return data.entries
-    .filter(e => e.name.endsWith('.epub'))
-    .map(e => e.name.replace('.epub', ''))
+  // Paginated — keep going until has_more is false
+  let data = await response.json()
+  const entries = [...data.entries]
+  while (data.has_more) {
+    const next = await fetch('https://api.dropboxapi.com/2/files/list_folder/continue', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ cursor: data.cursor }),
+    })
+    if (!next.ok) throw new Error(`List failed (${dir}): ${await next.text()}`)
+    data = await next.json()
+    entries.push(...data.entries)
+  }
+  return Object.fromEntries(entries.filter(e => e['.tag'] === 'file').map(e => [e.name, e.rev]))
 }
 
-// Upload translations for a specific book
-export async function uploadBookTranslations(bookId, translations) {
+async function deleteFile(path) {
   const token = await getValidAccessToken()
   
-  const path = `/translations/${bookId}.json`
-  const content = JSON.stringify(translations, null, 2)
-  
-  const response = await fetch('https://content.dropboxapi.com/2/files/upload', {
+  const response = await fetch('https://api.dropboxapi.com/2/files/delete_v2', {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/octet-stream',
-      'Dropbox-API-Arg': JSON.stringify({
-        path,
-        mode: 'overwrite',
-        autorename: false,
-        mute: true,
-      }),
+      'Content-Type': 'application/json',
     },
-    body: content,
+    body: JSON.stringify({ path: dropboxPath(path) }),
   })
   
-  if (!response.ok) {
+  // 409 = already gone
+  if (!response.ok && response.status !== 409) {
     const error = await response.text()
-    throw new Error(`Translations upload failed: ${error}`)
+    throw new Error(`Delete failed (${path}): ${error}`)
   }
-  
-  return true
 }
 
-// Download translations for a specific book
-export async function downloadBookTranslations(bookId) {
-  const token = await getValidAccessToken()
-  
-  const path = `/translations/${bookId}.json`
-  
-  const response = await fetch('https://content.dropboxapi.com/2/files/download', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Dropbox-API-Arg': JSON.stringify({ path }),
-    },
-  })
-  
-  if (response.status === 409) {
-    return null // File not found
-  }
-  
-  if (!response.ok) {
-    const error = await response.text()
-    throw new Error(`Translations download failed: ${error}`)
-  }
-  
-  const text = await response.text()
-  try {
-    return JSON.parse(text)
-  } catch (e) {
-    console.error('Failed to parse translations JSON:', e)
-    return null
-  }
+export const dropboxProvider = {
+  id: 'dropbox',
+  label: 'Dropbox',
+  isConfigured: isDropboxConfigured,
+  isLoggedIn,
+  login: startAuth,
+  logout: clearAccessToken,
+
+  async getJSON(path) {
+    return (await this.getJSONRev(path)).data
+  },
+  async getJSONRev(path) {
+    const response = await downloadFile(path)
+    if (!response) return { data: null, rev: null }
+    return { data: JSON.parse(await response.text()), rev: responseRev(response, path) }
+  },
+  putJSON(path, data, { rev } = {}) {
+    return uploadFile(path, JSON.stringify(data, null, 2), rev)
+  },
+  async getBlob(path) {
+    const response = await downloadFile(path)
+    return response ? response.blob() : null
+  },
+  putBlob(path, blob, { rev } = {}) {
+    return uploadFile(path, blob, rev)
+  },
+  async list(dir) {
+    return Object.keys(await listFolder(dir))
+  },
+  listRevs: listFolder,
+  delete: deleteFile,
 }
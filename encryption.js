@@ -0,0 +1,292 @@
+// End-to-end encryption of synced files (optional — off until a sync passphrase is set)
+//
+// Key: PBKDF2-SHA256 (600k iterations, random salt) → AES-GCM-256, kept in IndexedDB as a
+// non-extractable CryptoKey. Every key this device ever used stays in the `syncKeys` ring, so
+// files written with an older key (an interrupted rotation, another device mid-sync) still open.
+//
+// Remote `encryption.json` stays plaintext: { keyId, salt, iterations, check }. `check` is a known
+// string sealed with the key — a wrong passphrase fails AES-GCM authentication up front instead
+// of merging garbage. Each file is sealed with its own path as additional data, so ciphertexts
+// can't be swapped between files.
+//
+// JSON files become { nixbookEncrypted: 1, keyId, iv, data } envelopes, so revisions and
+// conditional writes (storage.js putJSON) work unchanged. Blobs become "NXE1" + keyId + iv +
+// ciphertext. File names (book ids) stay readable.
+import { saveSyncKey, getSyncKey } from './db.js'
+
+const HEADER_PATH = 'encryption.json'
+const STATE_KEY = 'sync-encryption'  // { keyId, pendingKeyId } — pending while a rotation runs
+const ITERATIONS = 600000
+const CHECK_TEXT = 'nixbook-key-check'
+const BLOB_MAGIC = 'NXE1'
+const KEY_ID_LENGTH = 8
+const IV_LENGTH = 12
+const HEADER_TTL = 60 * 1000  // re-read encryption.json at most once a minute
+
+// Everything sync.js writes — a rotation re-encrypts all of it
+const SYNCED_DIRS = ['', 'deltas', 'books', 'translations']
+
+const encryptionError = message => Object.assign(new Error(message), { name: 'EncryptionError' })
+
+export function getEncryptionState() {
+  try { return JSON.parse(localStorage.getItem(STATE_KEY)) || null } catch { return null }
+}
+
+function setEncryptionState(state) {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state))
+  verified = null
+}
+
+export function isEncryptionEnabled() {
+  return !!getEncryptionState()?.keyId
+}
+
+// ========== Primitives ==========
+function toBase64(bytes) {
+  let binary = ''
+  // Chunked — spreading a multi-MB array into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(binary)
+}
+
+const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0))
+const encode = text => new TextEncoder().encode(text)
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  )
+}
+
+async function encrypt(key, path, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: encode(path) }, key, bytes)
+  return { iv, data: new Uint8Array(data) }
+}
+
+async function decrypt(key, path, iv, data) {
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: encode(path) }, key, data))
+  } catch {
+    throw encryptionError(`无法解密 ${path}：同步密码错误或文件已损坏`)
+  }
+}
+
+// Key ring lookup (memoized — IndexedDB round trips add up over hundreds of files)
+const keyCache = new Map()
+async function keyFor(keyId, path) {
+  if (!keyCache.has(keyId)) {
+    const entry = await getSyncKey(keyId)
+    if (!entry) throw encryptionError(`${path} 使用了本设备没有的同步密码加密，请在设置中输入最新的同步密码`)
+    keyCache.set(keyId, entry.key)
+  }
+  return keyCache.get(keyId)
+}
+
+// ========== Envelopes ==========
+async function sealJSON(entry, path, value) {
+  const { iv, data } = await encrypt(entry.key, path, encode(JSON.stringify(value)))
+  return { nixbookEncrypted: 1, keyId: entry.id, iv: toBase64(iv), data: toBase64(data) }
+}
+
+// `plaintext`: accept unsealed files — only for a remote without `encryption.json` (never
+// encrypted, or the first rotateKey sealing what was there). Behind a header, plaintext is a
+// stray or tampered file.
+const plaintextError = path => encryptionError(`${path} 未加密，但云端数据已启用加密`)
+
+async function openJSON(path, value, { plaintext }) {
+  if (value === null) return value
+  if (!value?.nixbookEncrypted) {
+    if (!plaintext) throw plaintextError(path)
+    return value
+  }
+  const key = await keyFor(value.keyId, path)
+  return JSON.parse(new TextDecoder().decode(await decrypt(key, path, fromBase64(value.iv), fromBase64(value.data))))
+}
+
+async function sealBlob(entry, path, blob) {
+  const { iv, data } = await encrypt(entry.key, path, await blob.arrayBuffer())
+  return new Blob([BLOB_MAGIC, entry.id, iv, data], { type: 'application/octet-stream' })
+}
+
+async function openBlob(path, blob, { plaintext }) {
+  if (!blob) return blob
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  const prefix = BLOB_MAGIC.length
+  if (new TextDecoder().decode(bytes.subarray(0, prefix)) !== BLOB_MAGIC) {
+    if (!plaintext) throw plaintextError(path)
+    return blob
+  }
+  const keyId = new TextDecoder().decode(bytes.subarray(prefix, prefix + KEY_ID_LENGTH))
+  const ivStart = prefix + KEY_ID_LENGTH
+  const key = await keyFor(keyId, path)
+  return new Blob([await decrypt(key, path, bytes.subarray(ivStart, ivStart + IV_LENGTH), bytes.subarray(ivStart + IV_LENGTH))])
+}
+
+// ========== Keys ==========
+async function createKey(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const id = [...crypto.getRandomValues(new Uint8Array(KEY_ID_LENGTH / 2))].map(b => b.toString(16).padStart(2, '0')).join('')
+  const key = await deriveKey(passphrase, salt, ITERATIONS)
+  const { iv, data } = await encrypt(key, HEADER_PATH, encode(CHECK_TEXT))
+  const header = {
+    version: 1,
+    kdf: 'PBKDF2-SHA256',
+    iterations: ITERATIONS,
+    salt: toBase64(salt),
+    keyId: id,
+    check: { iv: toBase64(iv), data: toBase64(data) },
+  }
+  const entry = { id, key, header }
+  await saveSyncKey(entry)
+  keyCache.set(id, key)
+  return entry
+}
+
+export function readHeader(provider) {
+  return provider.getJSON(HEADER_PATH)
+}
+
+// Another device's passphrase: derive with the remote salt and prove it against `check`
+export async function unlock(provider, passphrase) {
+  const header = await readHeader(provider)
+  if (!header) throw encryptionError('云端数据未加密')
+  const key = await deriveKey(passphrase, fromBase64(header.salt), header.iterations)
+  try {
+    await decrypt(key, HEADER_PATH, fromBase64(header.check.iv), fromBase64(header.check.data))
+  } catch {
+    throw encryptionError('同步密码错误')
+  }
+  await saveSyncKey({ id: header.keyId, key, header })
+  keyCache.set(header.keyId, key)
+  setEncryptionState({ keyId: header.keyId })
+}
+
+// Re-seal one file with `entry`, conditional on the revision it was read at (JSON: from the
+// download, blobs: from the listing) — a device writing it meanwhile can't be overwritten
+async function reseal(provider, entry, path, listedRev, plaintext) {
+  if (path.endsWith('.json')) {
+    const { data, rev } = await provider.getJSONRev(path)
+    const value = await openJSON(path, data, { plaintext })
+    if (value !== null) await provider.putJSON(path, await sealJSON(entry, path, value), { rev })
+  } else {
+    if (listedRev === undefined) throw new Error(`No revision for ${path} — refusing to overwrite it blindly`)
+    const blob = await openBlob(path, await provider.getBlob(path), { plaintext })
+    if (blob) await provider.putBlob(path, await sealBlob(entry, path, blob), { rev: listedRev })
+  }
+}
+
+const MAX_RESEAL_ATTEMPTS = 5
+
+// Enable encryption or change the passphrase: re-encrypt every remote file with a new key,
+// then publish the new header. Until it's published, sync on this device is paused
+// (pendingKeyId) and other devices keep reading with the old key. A file another device
+// rewrites meanwhile is re-read and sealed again (ConflictError → retry).
+export async function rotateKey(provider, passphrase, progressCallback) {
+  const { data: header, rev: headerRev } = await provider.getJSONRev(HEADER_PATH)
+  if (header) await keyFor(header.keyId, HEADER_PATH)  // must be able to read the current set
+  const entry = await createKey(passphrase)
+  setEncryptionState({ ...getEncryptionState(), pendingKeyId: entry.id })
+  for (const dir of SYNCED_DIRS) {
+    let revs = await provider.listRevs(dir)
+    for (const name of Object.keys(revs)) {
+      if (!dir && (name === HEADER_PATH || !name.endsWith('.json'))) continue
+      const path = dir ? `${dir}/${name}` : name
+      progressCallback?.(`正在重新加密: ${path}`)
+      for (let attempt = 1; name in revs; attempt++) {
+        try {
+          await reseal(provider, entry, path, revs[name], !header)
+          break
+        } catch (e) {
+          if (e.name !== 'ConflictError' || attempt >= MAX_RESEAL_ATTEMPTS) throw e
+          console.log(`🔒 ${path} changed during re-encryption — retrying (attempt ${attempt + 1}/${MAX_RESEAL_ATTEMPTS})`)
+          revs = await provider.listRevs(dir)  // gone meanwhile = nothing left to seal
+        }
+      }
+    }
+  }
+  try {
+    await provider.putJSON(HEADER_PATH, entry.header, { rev: headerRev })
+  } catch (e) {
+    if (e.name === 'ConflictError') throw encryptionError('同步密码已在其他设备上同时更换，请重新设置同步密码')
+    throw e
+  }
+  setEncryptionState({ keyId: entry.id })
+  console.log(`🔒 Sync encryption: remote set re-encrypted with key ${entry.id}`)
+}
+
+// ========== Provider wrapper ==========
+// Checks the remote header before any file is touched; returns the key entry to seal with
+// (null = unencrypted remote and no local key).
+let verified = null  // { provider, at, entry }
+async function ensureHeader(provider) {
+  if (verified?.provider === provider && Date.now() - verified.at < HEADER_TTL) return verified.entry
+  const state = getEncryptionState()
+  if (state?.pendingKeyId) throw encryptionError('同步密码更换未完成，请在设置中重新设置同步密码')
+  const header = await readHeader(provider)
+  let entry = null
+  if (header) {
+    if (!state?.keyId) throw encryptionError('云端数据已加密，请在设置中输入同步密码')
+    if (header.keyId !== state.keyId) throw encryptionError('同步密码已在其他设备上更换，请在设置中输入新密码')
+    entry = await getSyncKey(state.keyId)
+  } else if (state?.keyId) {
+    entry = await getSyncKey(state.keyId)
+    // A fresh remote (new provider or folder) starts out encrypted with our key; a remote with
+    // plaintext data means encryption was never enabled there
+    for (const dir of SYNCED_DIRS) {
+      if ((await provider.list(dir)).some(name => name !== HEADER_PATH)) {
+        throw encryptionError('云端数据未加密，请在设置中重新设置同步密码以加密云端数据')
+      }
+    }
+    await provider.putJSON(HEADER_PATH, entry.header, { rev: null })
+  }
+  if (state?.keyId && !entry) throw encryptionError('本设备缺少同步密钥，请在设置中输入同步密码')
+  verified = { provider, at: Date.now(), entry }
+  return entry
+}
+
+// Same interface as the wrapped provider (storage.js); payloads are sealed / opened on the way
+export function withEncryption(provider) {
+  return {
+    ...provider,
+    async getJSON(path) {
+      return (await this.getJSONRev(path)).data
+    },
+    async getJSONRev(path) {
+      const entry = await ensureHeader(provider)
+      const { data, rev } = await provider.getJSONRev(path)
+      return { data: await openJSON(path, data, { plaintext: !entry }), rev }
+    },
+    async putJSON(path, data, options) {
+      const entry = await ensureHeader(provider)
+      return provider.putJSON(path, entry ? await sealJSON(entry, path, data) : data, options)
+    },
+    async getBlob(path) {
+      const entry = await ensureHeader(provider)
+      return openBlob(path, await provider.getBlob(path), { plaintext: !entry })
+    },
+    async putBlob(path, blob, options) {
+      const entry = await ensureHeader(provider)
+      return provider.putBlob(path, entry ? await sealBlob(entry, path, blob) : blob, options)
+    },
+    async list(dir) {
+      await ensureHeader(provider)
+      return (await provider.list(dir)).filter(name => dir || name !== HEADER_PATH)
+    },
+    async listRevs(dir) {
+      await ensureHeader(provider)
+      const revs = await provider.listRevs(dir)
+      if (!dir) delete revs[HEADER_PATH]
+      return revs
+    },
+    async delete(path) {
+      await ensureHeader(provider)
+      return provider.delete(path)
+    },
+  }
+}
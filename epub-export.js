@@ -0,0 +1,182 @@
+// Translated EPUB export — the original book with its stored translations written in, for
+// reading outside the app (e-ink readers, Calibre, Apple Books)
+//
+// Modes:
+//   interleaved   each translated paragraph follows its original as <p class="book-translation">
+//   translation   the original paragraph's text is replaced by its translation (inline markup
+//                 inside translated paragraphs is lost; untranslated ones stay as they are)
+//
+// Paragraphs are matched by the same hash as the reader's injectTranslations (trimmed
+// textContent of each <p>). Only spine XHTML documents are rewritten; the spine, NCX / nav TOC,
+// CSS, images and fonts are copied byte for byte. The OPF gains one stylesheet item, a title
+// suffix and, in translation mode, the target language.
+import { getBookTranslations, hashText } from './db.js'
+import { LANGUAGES, languageFont } from './languages.js'
+
+const ZIP_CDN = 'https://cdn.jsdelivr.net/npm/@zip.js/zip.js/+esm'
+const XHTML_NS = 'http://www.w3.org/1999/xhtml'
+const OPF_NS = 'http://www.idpf.org/2007/opf'
+const DC_NS = 'http://purl.org/dc/elements/1.1/'
+const XML_NS = 'http://www.w3.org/XML/1998/namespace'
+const STYLESHEET_NAME = 'nixbook-bilingual.css'
+const STYLESHEET_ID = 'nixbook-bilingual-css'
+
+export const EXPORT_MODES = {
+  interleaved: { label: '双语对照', suffix: '双语' },
+  translation: { label: '仅译文', suffix: '译文' },
+}
+
+const exportError = message => Object.assign(new Error(message), { name: 'ExportError' })
+
+// Zip paths: OPF hrefs are relative to the OPF and URL-encoded, zip entry names are neither
+const resolvePath = (base, href) => decodeURIComponent(new URL(href, `https://epub/${base}`).pathname.slice(1))
+const dirname = path => path.slice(0, path.lastIndexOf('/') + 1)
+
+function relativePath(from, to) {
+  const fromDirs = dirname(from).split('/').filter(Boolean)
+  const toParts = to.split('/')
+  let common = 0
+  while (common < fromDirs.length && common < toParts.length - 1 && fromDirs[common] === toParts[common]) common++
+  return [...fromDirs.slice(common).map(() => '..'), ...toParts.slice(common)].map(encodeURIComponent).join('/')
+}
+
+function parseXML(text, type) {
+  const doc = new DOMParser().parseFromString(text, type)
+  return doc.querySelector('parsererror') ? null : doc
+}
+
+const serialize = doc => `<?xml version="1.0" encoding="utf-8"?>\n${new XMLSerializer().serializeToString(doc)}`
+
+function bilingualStylesheet({ target }) {
+  const font = languageFont(target)
+  return `/* Added by NixBook */
+p.book-translation {
+  margin-top: 0.3em;
+  font-size: 0.92em;
+  color: #555;${font ? `\n  font-family: ${font};` : ''}
+}
+`
+}
+
+// Write translations into one XHTML document → number of paragraphs translated
+function translateDocument(doc, translations, { mode, target }) {
+  let translated = 0
+  for (const p of [...doc.getElementsByTagNameNS(XHTML_NS, 'p')]) {
+    if (p.classList.contains('book-translation')) continue  // a book exported before
+    const text = p.textContent?.trim()
+    const translation = text && translations[hashText(text)]
+    if (!translation) continue
+    if (mode === 'translation') {
+      p.textContent = translation
+      p.setAttribute('lang', target)
+      p.setAttributeNS(XML_NS, 'xml:lang', target)
+    } else {
+      const transP = doc.createElementNS(XHTML_NS, 'p')
+      transP.setAttribute('class', 'book-translation')
+      transP.setAttribute('lang', target)
+      transP.setAttributeNS(XML_NS, 'xml:lang', target)
+      transP.textContent = translation
+      p.after(transP)
+    }
+    translated++
+  }
+  return translated
+}
+
+function linkStylesheet(doc, href) {
+  let head = doc.getElementsByTagNameNS(XHTML_NS, 'head')[0]
+  if (!head) {
+    head = doc.createElementNS(XHTML_NS, 'head')
+    doc.documentElement.prepend(head)
+  }
+  if ([...head.children].some(el => el.getAttribute('href') === href)) return
+  const link = doc.createElementNS(XHTML_NS, 'link')
+  link.setAttribute('rel', 'stylesheet')
+  link.setAttribute('type', 'text/css')
+  link.setAttribute('href', href)
+  head.append(link)
+}
+
+// OPF: register the stylesheet, mark the title, and in translation mode switch the language
+function updatePackage(opf, { mode, target }) {
+  const manifest = opf.getElementsByTagNameNS(OPF_NS, 'manifest')[0]
+  if (![...manifest.children].some(item => item.getAttribute('id') === STYLESHEET_ID)) {
+    const item = opf.createElementNS(OPF_NS, 'item')
+    item.setAttribute('id', STYLESHEET_ID)
+    item.setAttribute('href', STYLESHEET_NAME)
+    item.setAttribute('media-type', 'text/css')
+    manifest.append(item)
+  }
+
+  const title = opf.getElementsByTagNameNS(DC_NS, 'title')[0]
+  if (title) title.textContent = `${title.textContent.trim()} (${EXPORT_MODES[mode].suffix})`
+  if (mode === 'translation') {
+    const language = opf.getElementsByTagNameNS(DC_NS, 'language')[0]
+    if (language) language.textContent = target
+  }
+}
+
+// file: the book's EPUB; langs: getBookLanguages(book) → { blob, translated, documents }
+export async function exportTranslatedEpub(file, bookId, { mode = 'interleaved', langs }, progressCallback) {
+  if (!EXPORT_MODES[mode]) throw exportError(`Unknown export mode: ${mode}`)
+  const translations = await getBookTranslations(bookId)
+  if (!Object.keys(translations).length) throw exportError('这本书还没有译文')
+
+  const { ZipReader, ZipWriter, BlobReader, BlobWriter, TextReader, TextWriter } = await import(ZIP_CDN)
+  const reader = new ZipReader(new BlobReader(file))
+  const entries = await reader.getEntries()
+  const byName = new Map(entries.map(e => [e.filename, e]))
+  const readText = async name => byName.get(name)?.getData(new TextWriter())
+
+  const container = parseXML(await readText('META-INF/container.xml') || '', 'application/xml')
+  const opfPath = container?.querySelector('rootfile')?.getAttribute('full-path')
+  const opfText = opfPath && await readText(opfPath)
+  const opf = opfText && parseXML(opfText, 'application/xml')
+  if (!opf) throw exportError('无法读取 EPUB 结构（container.xml / OPF）')
+
+  const manifestItems = new Map([...opf.getElementsByTagNameNS(OPF_NS, 'item')].map(item => [item.getAttribute('id'), item]))
+  const spinePaths = new Set()
+  for (const itemref of opf.getElementsByTagNameNS(OPF_NS, 'itemref')) {
+    const item = manifestItems.get(itemref.getAttribute('idref'))
+    if (item?.getAttribute('media-type') === 'application/xhtml+xml') spinePaths.add(resolvePath(opfPath, item.getAttribute('href')))
+  }
+
+  const stylesheetPath = dirname(opfPath) + STYLESHEET_NAME
+  const options = { mode, target: langs.target }
+  const writer = new ZipWriter(new BlobWriter('application/epub+zip'))
+  // mimetype must come first, stored uncompressed and without extra fields
+  await writer.add('mimetype', new TextReader('application/epub+zip'), { level: 0, extendedTimestamp: false, dataDescriptor: false })
+
+  let translated = 0, documents = 0, done = 0
+  for (const entry of entries) {
+    const name = entry.filename
+    if (name === 'mimetype' || name === stylesheetPath || entry.directory) continue
+    if (name === opfPath) {
+      updatePackage(opf, options)
+      await writer.add(name, new TextReader(serialize(opf)))
+    } else if (spinePaths.has(name)) {
+      progressCallback?.(`正在生成... ${Math.round(done++ / spinePaths.size * 100)}%`)
+      const doc = parseXML(await entry.getData(new TextWriter()), 'application/xhtml+xml')
+      if (!doc) {
+        // Not well-formed — copy it unchanged rather than lose the chapter
+        console.warn(`📚 EXPORT: ${name} is not valid XHTML, copied without translations`)
+        await writer.add(name, new BlobReader(await entry.getData(new BlobWriter())))
+        continue
+      }
+      const count = translateDocument(doc, translations, options)
+      if (count) {
+        linkStylesheet(doc, relativePath(name, stylesheetPath))
+        translated += count
+        documents++
+      }
+      await writer.add(name, new TextReader(serialize(doc)))
+    } else {
+      await writer.add(name, new BlobReader(await entry.getData(new BlobWriter())))
+    }
+  }
+  await writer.add(stylesheetPath, new TextReader(bilingualStylesheet(options)))
+  await reader.close()
+
+  console.log(`📚 EXPORT: ${mode} EPUB (${LANGUAGES[langs.source].label} → ${LANGUAGES[langs.target].label}), ${translated} paragraphs in ${documents} documents`)
+  return { blob: await writer.close(), translated, documents }
+}
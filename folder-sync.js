@@ -0,0 +1,133 @@
+// Local folder storage provider (File System Access API — Chrome / Edge desktop)
+// Syncs into a folder the user picks, e.g. inside Syncthing, iCloud Drive or a USB stick.
+// Same interface as dropboxProvider — see storage.js.
+import { saveFileHandle, getFileHandle, deleteFileHandle } from './db.js'
+
+const HANDLE_ID = 'sync-folder'
+const FOLDER_NAME_KEY = 'sync-folder-name'  // lets isLoggedIn() stay synchronous
+
+export function isFolderSyncSupported() {
+  return typeof window !== 'undefined' && 'showDirectoryPicker' in window
+}
+
+export function getSyncFolderName() {
+  return localStorage.getItem(FOLDER_NAME_KEY)
+}
+
+// Must run from a user gesture (click)
+export async function pickSyncFolder() {
+  const handle = await window.showDirectoryPicker({ id: 'nixbook-sync', mode: 'readwrite' })
+  await saveFileHandle(HANDLE_ID, handle)
+  localStorage.setItem(FOLDER_NAME_KEY, handle.name)
+  return handle.name
+}
+
+export async function forgetSyncFolder() {
+  localStorage.removeItem(FOLDER_NAME_KEY)
+  await deleteFileHandle(HANDLE_ID)
+}
+
+// Browsers drop the permission between sessions. Re-requesting needs a user gesture —
+// a click on the sync button has one, the 60s auto-sync doesn't and fails until then.
+async function getRoot() {
+  const root = await getFileHandle(HANDLE_ID)
+  if (!root) throw new Error('Sync folder not selected')
+  const opts = { mode: 'readwrite' }
+  if (await root.queryPermission(opts) !== 'granted' && await root.requestPermission(opts).catch(() => 'denied') !== 'granted') {
+    throw new Error('Sync folder permission not granted')
+  }
+  return root
+}
+
+// Directory handle for `dir` ("books", "translations", "" = root); null if missing and !create
+async function getDir(dir, create) {
+  let handle = await getRoot()
+  for (const part of dir.split('/').filter(Boolean)) {
+    try {
+      handle = await handle.getDirectoryHandle(part, { create })
+    } catch (e) {
+      if (e.name === 'NotFoundError') return null
+      throw e
+    }
+  }
+  return handle
+}
+
+function splitPath(path) {
+  const parts = path.split('/').filter(Boolean)
+  return { dir: parts.slice(0, -1).join('/'), name: parts[parts.length - 1] }
+}
+
+async function readFile(path) {
+  const { dir, name } = splitPath(path)
+  const handle = await getDir(dir, false)
+  if (!handle) return null
+  try {
+    return await (await handle.getFileHandle(name)).getFile()
+  } catch (e) {
+    if (e.name === 'NotFoundError') return null
+    throw e
+  }
+}
+
+async function writeFile(path, body) {
+  const { dir, name } = splitPath(path)
+  const handle = await getDir(dir, true)
+  const writable = await (await handle.getFileHandle(name, { create: true })).createWritable()
+  await writable.write(body)
+  await writable.close()
+}
+
+// No compare-and-swap on local files: the rev is the file's mtime + size, checked right
+// before writing. Good enough for one browser plus a folder-syncing tool.
+const fileRev = file => file ? `${file.lastModified}:${file.size}` : null
+
+export const folderProvider = {
+  id: 'folder',
+  label: '本地文件夹',
+  isConfigured: isFolderSyncSupported,
+  isLoggedIn: () => !!getSyncFolderName(),
+  login: pickSyncFolder,
+  logout: forgetSyncFolder,
+
+  async getJSON(path) {
+    return (await this.getJSONRev(path)).data
+  },
+  async getJSONRev(path) {
+    const file = await readFile(path)
+    return { data: file ? JSON.parse(await file.text()) : null, rev: fileRev(file) }
+  },
+  putJSON(path, data, options) {
+    return this.putBlob(path, JSON.stringify(data, null, 2), options)
+  },
+  getBlob: readFile,
+  async putBlob(path, blob, options = {}) {
+    if (options.rev !== undefined && fileRev(await readFile(path)) !== options.rev) {
+      throw Object.assign(new Error(`Conflict: ${path} changed remotely`), { name: 'ConflictError' })
+    }
+    await writeFile(path, blob)
+    return fileRev(await readFile(path))
+  },
+  async list(dir) {
+    return Object.keys(await this.listRevs(dir))
+  },
+  async listRevs(dir) {
+    const handle = await getDir(dir, false)
+    if (!handle) return {}
+    const files = {}
+    for await (const [name, entry] of handle.entries()) {
+      if (entry.kind === 'file') files[name] = fileRev(await entry.getFile())
+    }
+    return files
+  },
+  async delete(path) {
+    const { dir, name } = splitPath(path)
+    const handle = await getDir(dir, false)
+    if (!handle) return
+    try {
+      await handle.removeEntry(name)
+    } catch (e) {
+      if (e.name !== 'NotFoundError') throw e
+    }
+  },
+}
@@ -0,0 +1,67 @@
+// Book file formats — which files can be imported, and how each is stored, opened and synced
+//
+// foliate-js reads EPUB, MOBI / AZW3 (KF8), FB2 / FBZ and CBZ itself. It picks a parser from the
+// file's contents, name and MIME type, so a stored book always keeps the extension and type of
+// its format (getCachedEpub, sync `books/<id><ext>`, backups). Books carry `format`; missing =
+// EPUB, as before. Plain text and Markdown are converted to EPUB on import (text-to-epub.js).
+
+const FOLIATE_CDN = 'https://cdn.jsdelivr.net/gh/johnfactotum/foliate-js@main/'
+
+// text: has paragraphs to translate (a comic book is just images)
+export const BOOK_FORMATS = {
+  epub: { ext: '.epub', mime: 'application/epub+zip', label: 'EPUB', text: true },
+  mobi: { ext: '.mobi', mime: 'application/x-mobipocket-ebook', label: 'MOBI', text: true },
+  azw: { ext: '.azw', mime: 'application/vnd.amazon.ebook', label: 'AZW', text: true },
+  azw3: { ext: '.azw3', mime: 'application/vnd.amazon.mobi8-ebook', label: 'AZW3', text: true },
+  fb2: { ext: '.fb2', mime: 'application/x-fictionbook+xml', label: 'FB2', text: true },
+  fbz: { ext: '.fb2.zip', mime: 'application/x-zip-compressed-fb2', label: 'FB2', text: true },
+  cbz: { ext: '.cbz', mime: 'application/vnd.comicbook+zip', label: 'CBZ', text: false },
+}
+export const DEFAULT_FORMAT = 'epub'
+
+// Converted to EPUB on import
+export const TEXT_EXTENSIONS = ['.txt', '.md', '.markdown']
+
+// For <input type="file" accept>
+export const ACCEPTED_EXTENSIONS = [...Object.values(BOOK_FORMATS).map(f => f.ext), '.fbz', ...TEXT_EXTENSIONS].join(',')
+
+// "Dune.azw3" → 'azw3' (longest extension first: ".fb2.zip" before ".zip"), or null
+export function formatOfName(name) {
+  const lower = String(name || '').toLowerCase()
+  if (lower.endsWith('.fbz')) return 'fbz'
+  return Object.keys(BOOK_FORMATS)
+    .sort((a, b) => BOOK_FORMATS[b].ext.length - BOOK_FORMATS[a].ext.length)
+    .find(id => lower.endsWith(BOOK_FORMATS[id].ext)) || null
+}
+
+export function formatOfType(mime) {
+  return Object.keys(BOOK_FORMATS).find(id => BOOK_FORMATS[id].mime === mime) || null
+}
+
+// Stored / downloaded files are named after their type, uploads go by the file's name
+export const formatOfFile = file => formatOfType(file?.type) || formatOfName(file?.name) || DEFAULT_FORMAT
+
+export const isTextFile = name => TEXT_EXTENSIONS.some(ext => String(name || '').toLowerCase().endsWith(ext))
+
+export const isSupportedFile = name => !!formatOfName(name) || isTextFile(name)
+
+export const formatInfo = format => BOOK_FORMATS[format] || BOOK_FORMATS[DEFAULT_FORMAT]
+
+// "Dune.azw3" → "Dune"
+export function stripExtension(name) {
+  const format = formatOfName(name)
+  if (format) return name.slice(0, name.length - (name.toLowerCase().endsWith('.fbz') ? 4 : BOOK_FORMATS[format].ext.length))
+  return name.replace(/\.[^.]+$/, '')
+}
+
+// A blob as a File foliate-js recognizes: right extension and MIME type
+export function bookFile(blob, format, name = 'book') {
+  const { ext, mime } = formatInfo(format)
+  return new File([blob], `${name}${ext}`, { type: mime })
+}
+
+// foliate-js book object for any supported format (sections, metadata, getCover, toc)
+export async function openBook(file) {
+  const { makeBook } = await import(FOLIATE_CDN + 'view.js')
+  return makeBook(file)
+}
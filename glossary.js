@@ -0,0 +1,101 @@
+// Per-book translation glossary — keeps names and invented terms consistent across batches
+//
+// Entries live in the `glossary` store (db.js). `auto` ones are proper nouns found in the book
+// and rendered once by the translation service; the reader's glossary panel adds and edits
+// `user` ones. Every translation request carries the entries that occur in its paragraphs plus
+// the paragraphs right before the batch, so tone and references carry over between batches.
+import { getBookGlossary, saveGlossaryEntries } from './db.js'
+import { LANGUAGES } from './languages.js'
+import { translateTerms } from './translate.js'
+
+const CONTEXT_PARAGRAPHS = 2
+const CONTEXT_MAX_CHARS = 600     // per preceding paragraph
+const MIN_OCCURRENCES = 3         // a capitalized word seen fewer times is likely noise
+const MAX_AUTO_TERMS = 100
+const MAX_REQUEST_TERMS = 40
+const TERMS_BATCH_SIZE = 30
+
+// Capitalization only marks names in cased scripts
+const CASED_SCRIPTS = new Set(['latin', 'cyrillic'])
+
+const NAME_RE = /\p{Lu}\p{Ll}[\p{L}\p{M}]*(?:[ \u00a0]+\p{Lu}\p{Ll}[\p{L}\p{M}]*)*/gu
+const LOWER_WORD_RE = /(?<![\p{L}\p{M}])\p{Ll}[\p{L}\p{M}]*/gu
+// Capitalized because a sentence (or quote) starts here, not because it's a name
+const SENTENCE_START_RE = /(^|[.!?…:;"“”'‘’«»—–(\[])$/u
+// "Mr. Darcy" — the period doesn't end a sentence
+const TITLE_ABBREVIATION_RE = /\b(Mr|Mrs|Ms|Dr|St|Mt|Prof)\.$/u
+const STOP_WORDS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'st', 'sir', 'madam', 'miss', 'lady', 'lord', 'chapter', 'part', 'book',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+])
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Proper nouns: capitalized mid-sentence, at least MIN_OCCURRENCES times, and never seen in
+// lowercase elsewhere in the book (which would make them ordinary words). Leading ordinary words
+// are dropped ("The Shire" → "Shire"). → [{ term, count }], most frequent first
+export function extractProperNouns(paragraphs, { source }) {
+  if (!CASED_SCRIPTS.has(LANGUAGES[source].script)) return []
+  const lowercase = new Set()
+  for (const text of paragraphs) for (const [word] of text.matchAll(LOWER_WORD_RE)) lowercase.add(word)
+  const isOrdinary = word => lowercase.has(word.toLowerCase()) || STOP_WORDS.has(word.toLowerCase())
+
+  const counts = new Map()
+  for (const text of paragraphs) {
+    for (const match of text.matchAll(NAME_RE)) {
+      const before = text.slice(0, match.index).trimEnd()
+      if (SENTENCE_START_RE.test(before) && !TITLE_ABBREVIATION_RE.test(before)) continue
+      const words = match[0].split(/[ \u00a0]+/)
+      while (words.length && isOrdinary(words[0])) words.shift()
+      if (!words.length || (words.length === 1 && isOrdinary(words[0]))) continue
+      const term = words.join(' ')
+      counts.set(term, (counts.get(term) || 0) + 1)
+    }
+  }
+  return [...counts]
+    .filter(([, count]) => count >= MIN_OCCURRENCES)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_AUTO_TERMS)
+    .map(([term, count]) => ({ term, count }))
+}
+
+// Extract proper nouns not in the glossary yet (removed ones included — they stay removed) and
+// render them with the translation service. Returns the number of entries added.
+export async function updateGlossary(bookId, paragraphs, langs) {
+  const known = new Set((await getBookGlossary(bookId, { includeDeleted: true })).map(e => e.term))
+  const found = extractProperNouns(paragraphs, langs).filter(({ term }) => !known.has(term))
+  let added = 0
+  for (let i = 0; i < found.length; i += TERMS_BATCH_SIZE) {
+    const batch = found.slice(i, i + TERMS_BATCH_SIZE)
+    const results = await translateTerms(batch.map(e => e.term), langs)
+    const entries = batch
+      .map((e, j) => ({ bookId, term: e.term, translation: results[j + 1]?.trim(), source: 'auto', count: e.count }))
+      .filter(e => e.translation)
+    await saveGlossaryEntries(entries)
+    added += entries.length
+  }
+  if (added) console.log(`📚 Glossary: added ${added} terms for ${bookId}`)
+  return added
+}
+
+// Entries that occur in `texts` (whole words in cased scripts), user entries first
+export function relevantEntries(entries, texts, { source }) {
+  const cased = CASED_SCRIPTS.has(LANGUAGES[source].script)
+  const joined = texts.join('\n')
+  return entries
+    .filter(e => e.translation && (cased
+      ? new RegExp(`(?<![\\p{L}\\p{M}])${escapeRegExp(e.term)}(?![\\p{L}\\p{M}])`, 'iu').test(joined)
+      : joined.toLowerCase().includes(e.term.toLowerCase())))
+    .sort((a, b) => (b.source === 'user') - (a.source === 'user') || (b.count || 0) - (a.count || 0))
+    .slice(0, MAX_REQUEST_TERMS)
+}
+
+// Request for translateBatch: languages + the glossary for these paragraphs + preceding context
+export function translationRequest(langs, entries, texts, precedingTexts = []) {
+  return {
+    ...langs,
+    glossary: relevantEntries(entries, texts, langs).map(({ term, translation }) => ({ term, translation })),
+    context: precedingTexts.slice(-CONTEXT_PARAGRAPHS).map(t => t.slice(0, CONTEXT_MAX_CHARS)),
+  }
+}
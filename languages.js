@@ -0,0 +1,122 @@
+// Reading languages — per-book source (the book's language) and target (translations, lookups).
+// Books carry `sourceLang` / `targetLang`; without them a book is English → Chinese as before.
+
+// script: which writing system a paragraph is "already in" (see isTranslatable)
+// deepl: DeepL source / target codes; font / webfont: font stack and Google Fonts family for
+// injected translations
+export const LANGUAGES = {
+  en: { label: 'English', name: 'English', script: 'latin', deepl: ['EN', 'EN-US'] },
+  zh: { label: '中文', name: 'Chinese (Simplified)', script: 'han', deepl: ['ZH', 'ZH-HANS'], webfont: 'Noto+Sans+SC', font: "'Noto Sans SC', 'HarmonyOS Sans SC', sans-serif" },
+  fr: { label: 'Français', name: 'French', script: 'latin', deepl: ['FR', 'FR'] },
+  de: { label: 'Deutsch', name: 'German', script: 'latin', deepl: ['DE', 'DE'] },
+  es: { label: 'Español', name: 'Spanish', script: 'latin', deepl: ['ES', 'ES'] },
+  it: { label: 'Italiano', name: 'Italian', script: 'latin', deepl: ['IT', 'IT'] },
+  pt: { label: 'Português', name: 'Portuguese', script: 'latin', deepl: ['PT', 'PT-PT'] },
+  ru: { label: 'Русский', name: 'Russian', script: 'cyrillic', deepl: ['RU', 'RU'] },
+  ja: { label: '日本語', name: 'Japanese', script: 'kana', deepl: ['JA', 'JA'], webfont: 'Noto+Sans+JP', font: "'Noto Sans JP', sans-serif" },
+  ko: { label: '한국어', name: 'Korean', script: 'hangul', deepl: ['KO', 'KO'], webfont: 'Noto+Sans+KR', font: "'Noto Sans KR', sans-serif" },
+}
+
+export const DEFAULT_SOURCE = 'en'
+export const DEFAULT_TARGET = 'zh'
+
+const DEFAULT_TARGET_KEY = 'default-target-lang'
+
+// Target language given to newly imported books (settings)
+export function getDefaultTarget() {
+  const stored = localStorage.getItem(DEFAULT_TARGET_KEY)
+  return stored in LANGUAGES ? stored : DEFAULT_TARGET
+}
+
+export function setDefaultTarget(code) {
+  if (!(code in LANGUAGES)) throw new Error(`Unknown language: ${code}`)
+  localStorage.setItem(DEFAULT_TARGET_KEY, code)
+}
+
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/gu,
+  han: /\p{Script=Han}/gu,
+  kana: /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/gu,  // Japanese mixes in kanji
+  hangul: /\p{Script=Hangul}/gu,
+  cyrillic: /\p{Script=Cyrillic}/gu,
+}
+
+// "en-US", "fr_CA", "ZH-Hans" → supported code, or null
+export function normalizeLanguage(tag) {
+  const code = String(tag || '').trim().toLowerCase().split(/[-_]/)[0]
+  if (code in LANGUAGES) return code
+  // ISO 639-2 codes seen in older OPFs
+  return { eng: 'en', chi: 'zh', zho: 'zh', fre: 'fr', fra: 'fr', ger: 'de', deu: 'de', spa: 'es', ita: 'it', por: 'pt', rus: 'ru', jpn: 'ja', kor: 'ko' }[code] || null
+}
+
+// Book language from the EPUB's dc:language (foliate-js gives a string or an array)
+export function detectLanguage(metadataLanguage) {
+  for (const tag of [].concat(metadataLanguage || [])) {
+    const code = normalizeLanguage(tag)
+    if (code) return code
+  }
+  return null
+}
+
+export function getBookLanguages(book) {
+  const source = LANGUAGES[book?.sourceLang] ? book.sourceLang : DEFAULT_SOURCE
+  let target = LANGUAGES[book?.targetLang] ? book.targetLang : DEFAULT_TARGET
+  // A Chinese book read "into Chinese" makes no sense — fall back to English
+  if (target === source) target = source === 'en' ? DEFAULT_TARGET : 'en'
+  return { source, target }
+}
+
+const countScript = (text, script) => text.match(SCRIPT_PATTERNS[script])?.length || 0
+
+// Best guess from the writing system, for files without metadata (plain text). Latin → English
+export function detectTextLanguage(sample) {
+  const counts = { latin: 0, han: 0, hangul: 0, cyrillic: 0 }
+  for (const script of Object.keys(counts)) counts[script] = countScript(sample, script)
+  // Any kana means Japanese, even though kanji outnumber it
+  if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(sample) && counts.han + countScript(sample, 'kana') > counts.latin) return 'ja'
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]
+  if (!count) return null
+  return { latin: 'en', han: 'zh', hangul: 'ko', cyrillic: 'ru' }[script]
+}
+
+// Worth translating: long enough, and not already written in the target language. When both
+// languages share a script (French → English) only the length check applies.
+export function isTranslatable(text, { source, target }) {
+  if (!text || text.length < 10) return false
+  const sourceScript = LANGUAGES[source].script
+  const targetScript = LANGUAGES[target].script
+  if (sourceScript === targetScript) return true
+  return countScript(text, targetScript) <= countScript(text, sourceScript)
+}
+
+// `glossary`: [{ term, translation }] to use verbatim; `context`: preceding paragraphs, not translated
+export function translationPrompt(numbered, { source, target, glossary = [], context = [] }) {
+  const terms = glossary.map(e => `- ${e.term} → ${e.translation}`).join('\n')
+  const preceding = context.join('\n\n')
+  if (source === 'en' && target === 'zh') {
+    return `将以下英文段落翻译成中文。保持段落编号，只输出翻译结果，不要解释。`
+      + (terms ? `\n\n术语表（人名、地名等请严格按此翻译）：\n${terms}` : '')
+      + (preceding ? `\n\n上文（仅供理解语境和保持语气，不要翻译）：\n${preceding}` : '')
+      + `\n\n${numbered}`
+  }
+  return `Translate the following ${LANGUAGES[source].name} paragraphs into ${LANGUAGES[target].name}. Keep the paragraph numbers and output only the translations, no explanations.`
+    + (terms ? `\n\nGlossary (always translate these terms exactly like this):\n${terms}` : '')
+    + (preceding ? `\n\nPreceding text (for context and tone only, do not translate):\n${preceding}` : '')
+    + `\n\n${numbered}`
+}
+
+// Glossary terms (names, places, invented words) rather than running text
+export function termsPrompt(numbered, { source, target }) {
+  return `The following are proper nouns and special terms from a ${LANGUAGES[source].name} book. Give the standard ${LANGUAGES[target].name} rendering of each (established translation if there is one, otherwise a transliteration). Keep the numbers and output only the renderings, no explanations.\n\n${numbered}`
+}
+
+// Font stack for text in `code` (null = inherit the book's font)
+export function languageFont(code) {
+  return LANGUAGES[code]?.font || null
+}
+
+// Stylesheet @import for that font, or ''
+export function languageFontImport(code) {
+  const family = LANGUAGES[code]?.webfont
+  return family ? `@import url('https://fonts.googleapis.com/css2?family=${family}:wght@400&display=swap');` : ''
+}
@@ -0,0 +1,72 @@
+// English lemmatizer: maps inflected forms ("running", "studies", "went") to their base form.
+// Pure and synchronous — dict.js picks the first candidate that exists in the dictionary,
+// and reader.html uses it to underline inflected occurrences of saved vocabulary.
+
+// Irregular forms, `lemma:form,form;...` — verbs, plurals, comparatives.
+// ECDICT's `exchange` field adds many more at dictionary import time (see dict.js).
+const IRREGULAR = `
+be:am,is,are,was,were,been,being;have:has,had,having;do:does,did,done,doing;go:goes,went,gone;
+arise:arose,arisen;awake:awoke,awoken;bear:bore,borne;beat:beaten;become:became;begin:began,begun;
+bend:bent;bind:bound;bite:bit,bitten;bleed:bled;blow:blew,blown;break:broke,broken;
+breed:bred;bring:brought;build:built;burn:burnt;buy:bought;catch:caught;choose:chose,chosen;
+cling:clung;come:came;creep:crept;deal:dealt;dig:dug;draw:drew,drawn;dream:dreamt;drink:drank,drunk;
+drive:drove,driven;eat:ate,eaten;fall:fell,fallen;feed:fed;feel:felt;fight:fought;find:found;
+flee:fled;fling:flung;fly:flew,flown;forbid:forbade,forbidden;forget:forgot,forgotten;
+forgive:forgave,forgiven;freeze:froze,frozen;get:got,gotten;give:gave,given;grind:ground;
+grow:grew,grown;hang:hung;hear:heard;hide:hid,hidden;hold:held;keep:kept;kneel:knelt;know:knew,known;
+lay:laid;lead:led;lean:leant;leap:leapt;learn:learnt;leave:left;lend:lent;lie:lain,lying;
+light:lit;lose:lost;make:made;mean:meant;meet:met;mistake:mistook,mistaken;overcome:overcame;
+pay:paid;prove:proven;ride:rode,ridden;ring:rang,rung;rise:rose,risen;run:ran;say:said;see:saw,seen;
+seek:sought;sell:sold;send:sent;shake:shook,shaken;shine:shone;shoot:shot;show:shown;shrink:shrank,shrunk;
+sing:sang,sung;sink:sank,sunk;sit:sat;slay:slew,slain;sleep:slept;slide:slid;sling:slung;speak:spoke,spoken;
+speed:sped;spend:spent;spin:spun;spit:spat;spring:sprang,sprung;stand:stood;steal:stole,stolen;
+stick:stuck;sting:stung;stink:stank,stunk;stride:strode;strike:struck;strive:strove,striven;
+swear:swore,sworn;sweep:swept;swim:swam,swum;swing:swung;take:took,taken;teach:taught;tear:tore,torn;
+tell:told;think:thought;throw:threw,thrown;tread:trod,trodden;understand:understood;wake:woke,woken;
+wear:wore,worn;weave:wove,woven;weep:wept;win:won;wind:wound;withdraw:withdrew,withdrawn;
+wring:wrung;write:wrote,written;
+man:men;woman:women;child:children;foot:feet;tooth:teeth;goose:geese;mouse:mice;louse:lice;
+person:people;ox:oxen;criterion:criteria;phenomenon:phenomena;analysis:analyses;crisis:crises;
+thesis:theses;datum:data;medium:media;cactus:cacti;fungus:fungi;nucleus:nuclei;stimulus:stimuli;
+good:better,best;well:better,best;bad:worse,worst;ill:worse,worst;far:farther,farthest,further,furthest;
+little:less,least;many:more,most;much:more,most
+`
+
+export const IRREGULAR_FORMS = {}
+for (const group of IRREGULAR.replace(/\s+/g, '').split(';')) {
+  const [lemma, forms] = group.split(':')
+  if (!lemma || !forms) continue
+  for (const form of forms.split(',')) IRREGULAR_FORMS[form] ??= lemma
+}
+
+const DOUBLED = /([bcdfghjklmnpqrstvz])\1$/
+
+// Possible base forms of a regular inflection, most likely first (the word itself excluded)
+export function lemmaCandidates(surface) {
+  surface = surface.toLowerCase()
+  const out = []
+  const add = w => { if (w.length > 1 && w !== surface && !out.includes(w)) out.push(w) }
+  // Possessives: dog's → dog, dogs' → dogs (then → dog below)
+  const word = surface.replace(/'s$/, '').replace(/s'$/, 's')
+  add(word)
+  if (IRREGULAR_FORMS[word]) add(IRREGULAR_FORMS[word])
+
+  // Verb -ing / -ed and adjective -er / -est share the same stem rules
+  for (const suffix of ['ing', 'ed', 'est', 'er']) {
+    if (!word.endsWith(suffix) || word.length <= suffix.length + 1) continue
+    const stem = word.slice(0, -suffix.length)
+    if (suffix !== 'ing' && stem.endsWith('i')) add(stem.slice(0, -1) + 'y')  // studied → study, happier → happy
+    if (DOUBLED.test(stem)) add(stem.slice(0, -1))                            // running → run, bigger → big
+    if (suffix === 'ing' && /^[^aeiou]y$/.test(stem)) add(stem[0] + 'ie')   // lying → lie, dying → die
+    add(stem)                                                                 // walking → walk
+    add(stem + 'e')                                                           // making → make, liked → like
+  }
+
+  // Plurals / third person -s
+  if (word.endsWith('ies') && word.length > 4) add(word.slice(0, -3) + 'y')   // studies → study
+  if (word.endsWith('ves')) { add(word.slice(0, -3) + 'f'); add(word.slice(0, -3) + 'fe') } // wolves, knives
+  if (/(s|x|z|ch|sh|o)es$/.test(word)) add(word.slice(0, -2))                 // boxes, watches, goes
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us') && !word.endsWith('is')) add(word.slice(0, -1))
+
+  return out
+}
@@ -0,0 +1,105 @@
+// Flashcard scheduling: SuperMemo SM-2 (faithful) and FSRS-4.5.
+// Pure functions over a card's scheduling state — db.js stores the result and a review log entry,
+// sync.js replays merged logs so reviews from every device count.
+//
+// Grades use SM-2's 0–5 scale (flashcards.html: 1 忘了, 3 模糊, 4 记得, 5 秒答).
+// FSRS maps them to its 4 ratings: <3 Again, 3 Hard, 4 Good, 5 Easy.
+
+const DAY = 24 * 60 * 60 * 1000
+const ALGORITHM_KEY = 'review-algorithm'
+
+export const ALGORITHMS = { sm2: 'SM-2', fsrs: 'FSRS' }
+
+export function getAlgorithm() {
+  const stored = localStorage.getItem(ALGORITHM_KEY)
+  return stored in ALGORITHMS ? stored : 'sm2'
+}
+
+export function setAlgorithm(algorithm) {
+  localStorage.setItem(ALGORITHM_KEY, algorithm)
+}
+
+// Scheduling fields on a vocabulary record (everything else on the card is left alone)
+export const SCHEDULE_FIELDS = ['interval', 'easeFactor', 'repetitions', 'stability', 'difficulty', 'lastReviewedAt', 'nextReview']
+
+export function scheduleState(card) {
+  const state = {}
+  for (const field of SCHEDULE_FIELDS) if (card[field] !== undefined) state[field] = card[field]
+  // Cards from the old scheduler (0 → 1 → 3 → ×ease) have no repetition count
+  if (state.repetitions === undefined) {
+    const interval = state.interval || 0
+    state.repetitions = interval === 0 ? 0 : interval === 1 ? 1 : interval <= 6 ? 2 : 3
+  }
+  return state
+}
+
+// New scheduling state after answering `grade` at time `now`
+export function schedule(state, grade, algorithm = 'sm2', now = Date.now()) {
+  const next = algorithm === 'fsrs' ? fsrs(state, grade, now) : sm2(state, grade)
+  return { ...state, ...next, lastReviewedAt: now, nextReview: now + next.interval * DAY }
+}
+
+// --- SM-2 (https://super-memory.com/english/ol/sm2.htm) ---
+// I(1) = 1, I(2) = 6, I(n) = I(n-1) * EF. EF is updated after EVERY answer (failures lower it);
+// a grade below 3 restarts the repetition count without touching the new EF.
+function sm2(state, grade) {
+  const ef = state.easeFactor || 2.5
+  const easeFactor = Math.max(1.3, ef + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)))
+  if (grade < 3) return { repetitions: 0, interval: 1, easeFactor }
+  const repetitions = (state.repetitions || 0) + 1
+  const interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round((state.interval || 6) * ef)
+  return { repetitions, interval, easeFactor }
+}
+
+// --- FSRS-4.5 (https://github.com/open-spaced-repetition/fsrs4anki/wiki/The-Algorithm) ---
+// Default parameters; re-fitting them from the review log is what the log is for.
+const W = [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755]
+const DESIRED_RETENTION = 0.9
+const DECAY = -0.5
+const FACTOR = 19 / 81  // so that R(S, S) = 0.9
+const MAX_INTERVAL = 36500
+
+function fsrsRating(grade) {
+  return grade < 3 ? 1 : grade === 3 ? 2 : grade === 4 ? 3 : 4
+}
+
+export function retrievability(elapsedDays, stability) {
+  return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY)
+}
+
+const clampDifficulty = d => Math.min(10, Math.max(1, d))
+const initDifficulty = rating => clampDifficulty(W[4] - (rating - 3) * W[5])
+
+function fsrs(state, grade, now) {
+  const rating = fsrsRating(grade)
+  let stability, difficulty
+  if (!state.stability) {
+    // First FSRS review of this card (new, or previously scheduled by SM-2)
+    stability = W[rating - 1]
+    difficulty = initDifficulty(rating)
+  } else {
+    const elapsed = Math.max(0, (now - (state.lastReviewedAt ?? now)) / DAY)
+    const r = retrievability(elapsed, state.stability)
+    const d = state.difficulty || initDifficulty(3)
+    difficulty = clampDifficulty(W[7] * initDifficulty(3) + (1 - W[7]) * (d - W[6] * (rating - 3)))
+    if (rating === 1) {
+      stability = W[11] * Math.pow(d, -W[12]) * (Math.pow(state.stability + 1, W[13]) - 1) * Math.exp(W[14] * (1 - r))
+    } else {
+      const hardPenalty = rating === 2 ? W[15] : 1
+      const easyBonus = rating === 4 ? W[16] : 1
+      stability = state.stability * (1 + Math.exp(W[8]) * (11 - d) * Math.pow(state.stability, -W[9]) * (Math.exp(W[10] * (1 - r)) - 1) * hardPenalty * easyBonus)
+    }
+  }
+  const interval = Math.min(MAX_INTERVAL, Math.max(1, Math.round(stability / FACTOR * (Math.pow(DESIRED_RETENTION, 1 / DECAY) - 1))))
+  return { stability, difficulty, interval }
+}
+
+// Re-derive a card's state from its review log: start from the state recorded before the
+// earliest review, then apply every review in time order with the algorithm it was made with.
+export function replayReviews(logs) {
+  if (!logs.length) return null
+  const sorted = [...logs].sort((a, b) => a.reviewedAt - b.reviewedAt)
+  let state = { ...sorted[0].before }
+  for (const log of sorted) state = schedule(state, log.grade, log.algorithm, log.reviewedAt)
+  return state
+}
@@ -0,0 +1,93 @@
+// Shelf organisation — reading status, collections, sorting and filtering (index.html)
+//
+// Books carry two user fields, each with its own `<field>UpdatedAt` so sync merges them field by
+// field (LWW, like a highlight's note / color) rather than with the book's progress:
+//   status        'to-read' | 'reading' | 'finished' | 'abandoned'; missing = derived from progress
+//   collections   names of the user's collections (书单, i.e. tags) the book is in — a book can be in
+//                 any number, a collection is just every book that lists it
+// The chosen sort and filters are a per-device view setting (localStorage `shelf-view`).
+import { getBookLanguages } from './languages.js'
+import { formatInfo } from './formats.js'
+
+export const READING_STATUSES = {
+  'to-read': { label: '想读' },
+  reading: { label: '在读' },
+  finished: { label: '读完' },
+  abandoned: { label: '弃读' },
+}
+
+// Read to the end without a status set by hand
+const FINISHED_PROGRESS = 0.99
+
+export function bookStatus(book) {
+  if (READING_STATUSES[book.status]) return book.status
+  if ((book.progress || 0) >= FINISHED_PROGRESS) return 'finished'
+  return book.progress > 0 || book.lastReadAt ? 'reading' : 'to-read'
+}
+
+export const bookCollections = book => Array.isArray(book.collections) ? book.collections : []
+
+// Every collection name in the library, alphabetical
+export function libraryCollections(books) {
+  return [...new Set(books.flatMap(bookCollections))].sort((a, b) => a.localeCompare(b, 'zh'))
+}
+
+// "  科幻 " → "科幻"; null for an empty name
+export function normalizeCollection(name) {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ')
+  return trimmed ? trimmed.slice(0, 40) : null
+}
+
+const byText = field => (a, b) => String(a[field] || '').localeCompare(String(b[field] || ''), 'zh', { numeric: true })
+
+export const SHELF_SORTS = {
+  lastRead: { label: '最近阅读', compare: (a, b) => (b.lastReadAt || b.addedAt || 0) - (a.lastReadAt || a.addedAt || 0) },
+  added: { label: '最近添加', compare: (a, b) => (b.addedAt || 0) - (a.addedAt || 0) },
+  title: { label: '书名', compare: byText('title') },
+  author: { label: '作者', compare: byText('author') },
+  progress: { label: '进度', compare: (a, b) => (b.progress || 0) - (a.progress || 0) },
+}
+export const DEFAULT_SORT = 'lastRead'
+
+export const TRANSLATION_FILTERS = {
+  translated: { label: '有译文' },
+  untranslated: { label: '无译文' },
+}
+
+// filters: { status, collection, translation, lang } ('' = any). translationCounts: bookId → count
+export function filterBooks(books, filters, translationCounts = {}) {
+  return books.filter(book => {
+    if (filters.status && bookStatus(book) !== filters.status) return false
+    if (filters.collection && !bookCollections(book).includes(filters.collection)) return false
+    if (filters.lang && getBookLanguages(book).source !== filters.lang) return false
+    if (filters.translation) {
+      // Comic books have nothing to translate — they're neither
+      if (!formatInfo(book.format).text) return false
+      const translated = (translationCounts[book.id] || 0) > 0
+      if (translated !== (filters.translation === 'translated')) return false
+    }
+    return true
+  })
+}
+
+export function sortBooks(books, sort) {
+  // Ties (e.g. same author) keep the most recently read first
+  return [...books].sort(SHELF_SORTS.lastRead.compare).sort((SHELF_SORTS[sort] || SHELF_SORTS[DEFAULT_SORT]).compare)
+}
+
+const VIEW_KEY = 'shelf-view'
+const EMPTY_FILTERS = { status: '', collection: '', translation: '', lang: '' }
+
+// → { sort, filters }
+export function getShelfView() {
+  let stored = {}
+  try { stored = JSON.parse(localStorage.getItem(VIEW_KEY)) || {} } catch {}
+  return {
+    sort: SHELF_SORTS[stored.sort] ? stored.sort : DEFAULT_SORT,
+    filters: { ...EMPTY_FILTERS, ...stored.filters },
+  }
+}
+
+export function setShelfView(view) {
+  localStorage.setItem(VIEW_KEY, JSON.stringify(view))
+}
@@ -0,0 +1,52 @@
+// Reading statistics over the `readingSessions` store (see reader.html / db.js).
+// Pure helpers shared by stats.html and the shelf header in index.html.
+
+const DAY = 24 * 60 * 60 * 1000
+
+export function sessionMinutes(session) {
+  return Math.max(0, (session.endedAt || session.startedAt) - session.startedAt) / 60000
+}
+
+// Local calendar day, e.g. "2026-10-19" — a session counts toward the day it started
+export function dayKey(time) {
+  const d = new Date(time)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+// Map dayKey → minutes read that day
+export function dailyMinutes(sessions) {
+  const perDay = new Map()
+  for (const s of sessions) {
+    const key = dayKey(s.startedAt)
+    perDay.set(key, (perDay.get(key) || 0) + sessionMinutes(s))
+  }
+  return perDay
+}
+
+// A streak is a run of consecutive days with any reading. The current streak survives
+// until the end of today, so not having read yet today doesn't break it.
+export function readingStreaks(perDay, now = Date.now()) {
+  const days = [...perDay.keys()].filter(k => perDay.get(k) > 0).sort()
+  let longest = 0
+  let run = 0
+  let prev = null
+  for (const key of days) {
+    run = prev && dayKey(dayStart(prev) + DAY + DAY / 2) === key ? run + 1 : 1
+    longest = Math.max(longest, run)
+    prev = key
+  }
+  let current = 0
+  // Step back from noon so DST days (23h / 25h) never skip or repeat a date
+  let cursor = dayStart(dayKey(now)) + DAY / 2
+  if (!perDay.get(dayKey(cursor))) cursor -= DAY
+  while (perDay.get(dayKey(cursor))) {
+    current++
+    cursor -= DAY
+  }
+  return { current, longest }
+}
+
+function dayStart(key) {
+  const [y, m, d] = key.split('-').map(Number)
+  return new Date(y, m - 1, d).getTime()
+}
@@ -0,0 +1,136 @@
+// Sync storage providers
+//
+// sync.js talks to whichever provider is selected in settings; each one stores plain files
+// under relative paths ("epub-reader-data.json", "books/<id>.epub" (or .mobi, .cbz…), "translations/<id>.json").
+//
+// Provider interface:
+//   id, label
+//   isConfigured()            → can this provider work in this browser / build at all
+//   isLoggedIn()              → has credentials / a folder (synchronous)
+//   login()                   → start auth from a user gesture; null = configured in settings
+//   logout()
+//   getJSON(path)             → parsed JSON, or null if the file doesn't exist
+//   getJSONRev(path)          → { data, rev } — rev is the file's revision (Dropbox rev, WebDAV ETag), null if
+//                               missing. An existing file without a readable rev throws (never undefined)
+//   putJSON(path, data, { rev }) → new rev. With `rev` the write is conditional: null = create only,
+//                               string = only if the file is still at that revision. A lost race
+//                               throws an Error named 'ConflictError' (re-download, merge, retry)
+//   getBlob(path)             → Blob, or null if the file doesn't exist
+//   putBlob(path, blob, { rev }) → new rev; `rev` as for putJSON
+//   list(dir)                 → file names directly inside dir ([] if it doesn't exist; "" = root)
+//   listRevs(dir)             → { name: rev } for the same files — lets sync skip unchanged downloads
+//   delete(path)              → no error if already gone
+//
+// getProvider() hands out the provider wrapped by encryption.js: with a sync passphrase set,
+// payloads are encrypted before upload and decrypted after download.
+import { dropboxProvider } from './dropbox.js'
+import { webdavProvider } from './webdav.js'
+import { folderProvider } from './folder-sync.js'
+import { withEncryption, readHeader, unlock, rotateKey } from './encryption.js'
+
+export const PROVIDERS = {
+  dropbox: dropboxProvider,
+  webdav: webdavProvider,
+  folder: folderProvider,
+}
+
+const PROVIDER_KEY = 'sync-provider'
+const SYNC_STATUS_KEY = 'sync-status'
+const KNOWN_REVS_KEY = 'sync-revs'
+const APPLIED_DELTAS_KEY = 'sync-applied-deltas'
+const DEVICE_ID_KEY = 'sync-device-id'
+
+// Per-remote state — dropped when switching provider or logging out
+function resetRemoteState() {
+  for (const key of [SYNC_STATUS_KEY, KNOWN_REVS_KEY, APPLIED_DELTAS_KEY]) localStorage.removeItem(key)
+}
+
+export function getProviderId() {
+  const stored = localStorage.getItem(PROVIDER_KEY)
+  return stored in PROVIDERS ? stored : 'dropbox'
+}
+
+const encryptedProviders = new Map()
+export function getProvider() {
+  const provider = PROVIDERS[getProviderId()]
+  if (!encryptedProviders.has(provider)) encryptedProviders.set(provider, withEncryption(provider))
+  return encryptedProviders.get(provider)
+}
+
+// --- Sync passphrase (see encryption.js) ---
+// Remote encryption header, or null if the remote isn't encrypted
+export function getRemoteEncryption() {
+  return readHeader(PROVIDERS[getProviderId()])
+}
+
+// Passphrase already set on another device
+export function unlockSync(passphrase) {
+  return unlock(PROVIDERS[getProviderId()], passphrase)
+}
+
+// Enable encryption / change the passphrase — re-encrypts everything on the remote
+export function setSyncPassphrase(passphrase, progressCallback) {
+  return rotateKey(PROVIDERS[getProviderId()], passphrase, progressCallback)
+}
+
+export function setProvider(id) {
+  if (!(id in PROVIDERS)) throw new Error(`Unknown sync provider: ${id}`)
+  localStorage.setItem(PROVIDER_KEY, id)
+  resetRemoteState()
+}
+
+// Replaces the old `isDropboxConfigured() && isLoggedIn()` checks
+export function isSyncReady() {
+  const provider = getProvider()
+  return provider.isConfigured() && provider.isLoggedIn()
+}
+
+export async function logout() {
+  await getProvider().logout()
+  resetRemoteState()
+}
+
+// Revision of a remote file as of this device's last successful write (undefined = unknown)
+export function getKnownRev(path) {
+  try { return JSON.parse(localStorage.getItem(KNOWN_REVS_KEY))?.[path] ?? undefined } catch { return undefined }
+}
+
+export function setKnownRev(path, rev) {
+  let revs = {}
+  try { revs = JSON.parse(localStorage.getItem(KNOWN_REVS_KEY)) || {} } catch {}
+  if (rev === undefined) delete revs[path]
+  else revs[path] = rev
+  localStorage.setItem(KNOWN_REVS_KEY, JSON.stringify(revs))
+}
+
+export function getSyncStatus() {
+  const status = localStorage.getItem(SYNC_STATUS_KEY)
+  return status ? JSON.parse(status) : null
+}
+
+export function recordSyncStatus() {
+  localStorage.setItem(SYNC_STATUS_KEY, JSON.stringify({
+    lastSync: Date.now(),
+    status: 'success',
+    provider: getProviderId(),
+  }))
+}
+
+// Names of the remote delta files already merged into this device's database
+export function getAppliedDeltas() {
+  try { return new Set(JSON.parse(localStorage.getItem(APPLIED_DELTAS_KEY)) || []) } catch { return new Set() }
+}
+
+export function setAppliedDeltas(names) {
+  localStorage.setItem(APPLIED_DELTAS_KEY, JSON.stringify([...names]))
+}
+
+// Stable per-browser id, part of delta file names so two devices never pick the same one
+export function getDeviceId() {
+  let id = localStorage.getItem(DEVICE_ID_KEY)
+  if (!id) {
+    id = crypto.randomUUID().slice(0, 8)
+    localStorage.setItem(DEVICE_ID_KEY, id)
+  }
+  return id
+}
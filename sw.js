@@ -1,9 +1,123 @@
-// Network-first service worker (dev mode)
-self.addEventListener('install', () => self.skipWaiting())
+// Offline-first service worker
+//
+// - App shell (HTML/JS/CSS/icons): precached per VERSION, served cache-first.
+//   Bump VERSION with every release — the new worker then waits until the page
+//   accepts the "update available" prompt (index.html), and old shell caches are dropped.
+// - CDN modules (foliate-js, zip.js) and dict-ecdict.json: runtime cache, kept across versions.
+// - `nixbook-epub-files` holds the EPUB blobs written by db.js — NEVER delete it here.
+const VERSION = 'v0.1.28'
+const SHELL_CACHE = `nixbook-shell-${VERSION}`
+const RUNTIME_CACHE = 'nixbook-runtime'
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'reader.html',
+  'flashcards.html',
+  'highlights.html',
+  'stats.html',
+  'backup.js',
+  'book-import.js',
+  'db.js',
+  'dict.js',
+  'dropbox.js',
+  'encryption.js',
+  'epub-export.js',
+  'folder-sync.js',
+  'formats.js',
+  'glossary.js',
+  'languages.js',
+  'lemma.js',
+  'scheduler.js',
+  'shelf.js',
+  'stats.js',
+  'storage.js',
+  'text-to-epub.js',
+  'sync.js',
+  'theme.js',
+  'theme.css',
+  'translate.js',
+  'webdav.js',
+  'manifest.json',
+  'favicon.svg',
+  'icon-192.png',
+  'icon-512.png',
+]
+
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net']
+const DICT_PATH = '/dict-ecdict.json'
+
+self.addEventListener('install', e => {
+  // `reload` bypasses the HTTP cache so a new version never precaches stale files
+  e.waitUntil(caches.open(SHELL_CACHE).then(cache =>
+    cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })))
+  ))
+})
+
 self.addEventListener('activate', e => {
-  e.waitUntil(caches.keys().then(keys => Promise.all(keys.map(k => caches.delete(k)))))
-  self.clients.claim()
+  // Only old shell caches — the runtime and EPUB caches survive updates
+  e.waitUntil(caches.keys().then(keys => Promise.all(keys
+    .filter(k => k.startsWith('nixbook-shell-') && k !== SHELL_CACHE)
+    .map(k => caches.delete(k))
+  )).then(() => self.clients.claim()))
+})
+
+// The page posts this when the user accepts the update prompt
+self.addEventListener('message', e => {
+  if (e.data?.type === 'SKIP_WAITING') self.skipWaiting()
 })
+
 self.addEventListener('fetch', e => {
-  e.respondWith(fetch(e.request).catch(() => caches.match(e.request)))
+  const { request } = e
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.endsWith(DICT_PATH)) {
+      e.respondWith(cacheFirst(request, RUNTIME_CACHE))
+    } else {
+      e.respondWith(shellFirst(request))
+    }
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    e.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE))
+  }
+  // Everything else (Dropbox, WebDAV servers, translation API) goes straight to the network
 })
+
+// Shell files ignore the query string (reader.html?id=..., index.html?code=...)
+async function shellFirst(request) {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true })
+  if (cached) return cached
+  try {
+    return await fetch(request)
+  } catch (e) {
+    if (request.mode === 'navigate') {
+      const fallback = await caches.match('index.html', { cacheName: SHELL_CACHE })
+      if (fallback) return fallback
+    }
+    throw e
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) cache.put(request, response.clone())
+  return response
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  })
+  if (cached) {
+    network.catch(() => {}) // offline — the cached copy is all we need
+    return cached
+  }
+  return network
+}
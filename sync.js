@@ -1,32 +1,80 @@
 // Sync Module - LWW (Last-Writer-Wins) merge for multi-device sync
+// Works against the storage provider selected in settings (Dropbox / WebDAV / local folder — see storage.js)
 // 
 // SYNC DESIGN (best practice for offline-first multi-device):
 //
 // 1. BOOKS (progress): LWW by `lastReadAt` — newer timestamp wins
-// 2. HIGHLIGHTS: LWW-Element-Set by `bookId:text` key
+//    - Shelf fields `status` / `collections` (shelf.js) are merged field by field: newest
+//      `<field>UpdatedAt` wins, independent of reading progress
+// 2. HIGHLIGHTS: LWW-Element-Set by `bookId:cfi` key (`bookId:text` for legacy records without a CFI)
 //    - Each record has `addedAt` and optional `deletedAt`
+//    - A legacy text-only record folds into the CFI record with the same text once one exists
+//    - User fields `note` / `color` are merged field by field: newest `<field>UpdatedAt` wins
 //    - Active = no `deletedAt` or `addedAt > deletedAt`
 //    - Merge: for same key, keep record with latest `max(addedAt, deletedAt)`
 //    - "Delete wins" on tie (deletedAt >= addedAt)
-// 3. VOCABULARY: LWW-Element-Set by `word` key — same as highlights
-// 4. TRANSLATIONS: Additive merge (never deleted)
+// 3. VOCABULARY: LWW-Element-Set by `word` key (the lemma) — same as highlights; `forms` and `contexts` are unioned
+// 4. TRANSLATIONS: Additive merge (never deleted) by paragraph hash. A reader edit
+//    (`source: 'user'`) beats machine output, the later `editedAt` wins between two edits, and
+//    between two machine translations the local one stays. Review flags merge by `flagUpdatedAt`
+// 5. REVIEW LOG: Union by log `id`. A word's scheduling fields are then replayed from its merged
+//    log (scheduler.js), so reviews done on two devices both count — no more `max(interval)`
+// 6. READING SESSIONS: Union by session `id`; a session still open on one device is
+//    re-uploaded as it grows, so the copy with the later `endedAt` wins
+// 7. GLOSSARY: LWW-Element-Set by `[bookId, term]` — latest `max(updatedAt, deletedAt)` wins
+// 8. BOOK ALIASES: Union by old book id. Book ids come from the file's content, so the same book
+//    imported on two devices converges on one id; a book still under an older random id is
+//    merged into its content id (db.js mergeBookInto) and leaves `{ id, mergedInto }` behind.
+//    Every record from either side is re-filed under the current id before merging, and the old
+//    remote `books/<oldId>.*` / `translations/<oldId>.json` files are folded in and deleted
 //
 // No separate tombstone arrays needed — deletion state lives in the records themselves.
+//
+// ENCRYPTION: optional, transparent to this module — getProvider() seals and opens payloads
+// (encryption.js). A wrong or missing passphrase surfaces as `locked` instead of a merge.
+//
+// UPLOADS are conditional on the remote file's revision (Dropbox rev / WebDAV ETag): if another
+// device wrote in between, the provider throws a ConflictError and we re-download, re-merge and
+// retry — a concurrent sync can no longer silently discard the other device's merge.
+//
+// DELTAS: db.js logs which records changed locally (syncChanges store). A sync pulls the
+// remote delta files it hasn't applied yet, pushes one new file with just the local changes
+// (`deltas/<time>-<device>.json`, create-only so two devices never collide), and skips the
+// snapshot download when its revision hasn't moved. Every 20 deltas / 24h a sync compacts:
+// full merge into `epub-reader-data.json` listing the folded files in `foldedDeltas`, then
+// deletes them. Translations are only fetched for books whose remote file changed.
 
-import { getAllBooks, getAllVocabulary, getAllHighlights, getBookTranslations, importTranslations, saveBook, getCachedEpub } from './db.js'
-import { 
-  isDropboxConfigured, isLoggedIn, uploadData, downloadData, 
-  uploadBook, downloadBook, listBooks,
-  uploadBookTranslations, downloadBookTranslations
-} from './dropbox.js'
+import { openDB, SEARCH_STORES, indexRecord, getAllBooks, getBookAliases, putBookAliases, bookAliasResolver, mergeBookInto, getAllVocabulary, getAllHighlights, highlightKey, wordContextKey, MAX_WORD_CONTEXTS, getAllReviewLogs, getAllReadingSessions, getAllGlossary, getBookTranslationRecords, importTranslations, saveBook, getCachedEpub, cacheEpubFile, getPendingChanges, clearPendingChanges, getRecords, getRecordsByIndex } from './db.js'
+import { getProvider, isSyncReady, recordSyncStatus, getKnownRev, setKnownRev, getAppliedDeltas, setAppliedDeltas, getDeviceId } from './storage.js'
+import { replayReviews } from './scheduler.js'
+import { DEFAULT_FORMAT, bookFile, formatInfo, formatOfFile, formatOfName, stripExtension } from './formats.js'
 
 // Export all local data (includes soft-deleted records for sync)
 export async function exportLocalData() {
   const books = await getAllBooks()
   const vocabulary = await getAllVocabulary()  // includes soft-deleted
   const highlights = await getAllHighlights()  // includes soft-deleted
+  const reviewLog = await getAllReviewLogs()
+  const readingSessions = await getAllReadingSessions()
+  const glossary = await getAllGlossary()  // includes soft-deleted
+  const bookAliases = await getBookAliases()
   
-  const booksMetadata = books.map(b => ({
+  return {
+    version: 2,  // v2: soft-delete model (no separate tombstone arrays)
+    exportedAt: Date.now(),
+    books: books.map(bookMetadata),
+    vocabulary,
+    highlights,
+    reviewLog,
+    readingSessions,
+    glossary,
+    bookAliases,
+  }
+}
+
+// The synced part of a book record (the file and cover stay local)
+function bookMetadata(b) {
+  return {
     id: b.id,
     title: b.title,
     author: b.author,
@@ -35,33 +83,126 @@ export async function exportLocalData() {
     progress: b.progress,
     lastLocation: b.lastLocation,
     paragraphCount: b.paragraphCount || null,
-  }))
-  
-  return {
-    version: 2,  // v2: soft-delete model (no separate tombstone arrays)
-    exportedAt: Date.now(),
-    books: booksMetadata,
-    vocabulary,
-    highlights,
+    sourceLang: b.sourceLang || null,
+    targetLang: b.targetLang || null,
+    format: b.format || null,
+    contentHash: b.contentHash || null,
+    status: b.status ?? null,
+    statusUpdatedAt: b.statusUpdatedAt || null,
+    collections: b.collections ?? null,
+    collectionsUpdatedAt: b.collectionsUpdatedAt || null,
+  }
+}
+
+// Remote layout (same for every provider)
+const DATA_PATH = 'epub-reader-data.json'
+const DELTA_DIR = 'deltas'
+const bookPath = (bookId, format) => `books/${bookId}${formatInfo(format).ext}`
+const translationsPath = bookId => `translations/${bookId}.json`
+
+export async function downloadRemoteData() {
+  const data = await getProvider().getJSON(DATA_PATH)
+  recordSyncStatus()
+  return data
+}
+
+// Revision for a conditional upload: null (create only) or the downloaded file's rev. Undefined
+// would make putJSON overwrite whatever another device wrote in between.
+function conditionalRev(path, rev) {
+  if (rev === undefined) throw new Error(`No revision for ${path} — refusing to overwrite it blindly`)
+  return rev
+}
+
+// `rev` from the download this upload is based on — see storage.js putJSON
+async function uploadRemoteData(data, rev) {
+  const newRev = await getProvider().putJSON(DATA_PATH, data, { rev: conditionalRev(DATA_PATH, rev) })
+  if (newRev == null) throw new Error(`Upload of ${DATA_PATH} returned no revision`)
+  setKnownRev(DATA_PATH, newRev)
+  recordSyncStatus()
+}
+
+const MAX_UPLOAD_ATTEMPTS = 5
+const isConflict = e => e?.name === 'ConflictError'
+
+// ~0.5s, 1s, 2s, 4s — jittered so two devices that collided don't collide again
+function conflictBackoff(attempt) {
+  const delay = Math.min(8000, 500 * 2 ** attempt) * (1 + Math.random() * 0.5)
+  return new Promise(resolve => setTimeout(resolve, delay))
+}
+
+// Stored under the extension of its format (`books/<id>.azw3`) — see formats.js
+export function uploadBookFile(bookId, file) {
+  return getProvider().putBlob(bookPath(bookId, formatOfFile(file)), file)
+}
+
+// File typed for its format, or null if the book isn't on the remote. `format` from the book
+// record; books from before formats were tracked are EPUBs
+export async function downloadBookFile(bookId, format = DEFAULT_FORMAT, name = bookId) {
+  const blob = await getProvider().getBlob(bookPath(bookId, format))
+  return blob && bookFile(blob, format, name)
+}
+
+// → Map of bookId → format
+async function listRemoteBooks() {
+  const books = new Map()
+  for (const name of await getProvider().list('books')) {
+    const format = formatOfName(name)
+    if (format) books.set(stripExtension(name), format)
   }
+  return books
 }
 
-// Full sync with Dropbox
+// Full sync with the selected provider (name kept from when Dropbox was the only one)
 export async function syncWithDropbox(progressCallback) {
-  if (!isDropboxConfigured() || !isLoggedIn()) {
+  if (!isSyncReady()) {
     return { success: false, error: 'Not configured or not logged in' }
   }
   
   try {
+    if (getKnownRev(DATA_PATH) === undefined) {
+      // First sync against this remote (or no snapshot yet): full merge
+      await compact(progressCallback)
+    } else {
+      const rootRevs = await getProvider().listRevs('')
+      await pullSnapshot(rootRevs[DATA_PATH] ?? null, progressCallback)
+      await pullDeltas(await getProvider().list(DELTA_DIR), progressCallback)
+      await pushDelta(progressCallback)
+      if (compactionDue(await getProvider().list(DELTA_DIR))) await compact(progressCallback)
+    }
+    const books = (await getAllBooks()).map(bookMetadata)
+    
+    progressCallback?.('正在同步书籍文件...')
+    await syncBookFiles(books, progressCallback)
+    
+    progressCallback?.('正在同步翻译...')
+    await syncChangedTranslations(books)
+    
+    progressCallback?.('同步完成!')
+    return { success: true }
+  } catch (e) {
+    console.error('Sync error:', e)
+    return { success: false, error: e.message, locked: e.name === 'EncryptionError' }
+  }
+}
+
+// Download → merge → apply → conditional upload; on a conflict start over with the newer remote.
+// `foldedDeltas`: delta files already merged locally that the uploaded snapshot now contains;
+// `isCurrent` filters which of the remote snapshot's own `foldedDeltas` are still worth listing.
+// Returns true once the snapshot is uploaded.
+async function syncData(progressCallback, foldedDeltas = [], isCurrent = () => true) {
+  for (let attempt = 0; ; attempt++) {
     progressCallback?.('正在下载云端数据...')
-    let remoteData
+    let remote = null
     try {
-      remoteData = await downloadData()
+      remote = await getProvider().getJSONRev(DATA_PATH)
+      const remoteData = remote.data
       progressCallback?.(`云端数据: ${remoteData ? JSON.stringify({books: remoteData.books?.length, vocab: remoteData.vocabulary?.length, hl: remoteData.highlights?.length}) : 'null (文件不存在)'}`)
     } catch(dlErr) {
+      // Wrong or missing passphrase: stop here rather than sync around it
+      if (dlErr.name === 'EncryptionError') throw dlErr
       progressCallback?.('❌ 下载失败: ' + dlErr.message)
-      remoteData = null
     }
+    const remoteData = remote?.data || null
     
     progressCallback?.('正在读取本地数据...')
     const localData = await exportLocalData()
@@ -81,43 +222,231 @@ export async function syncWithDropbox(progressCallback) {
     
     progressCallback?.(`正在更新本地数据库... (合并后${mergedData.books?.length || 0}本)`)
     await applyMergedData(mergedData)
+    markDeltasApplied(remoteData?.foldedDeltas)
+    
+    if (!remote) {
+      // Without the remote revision an upload could overwrite data we never merged
+      progressCallback?.('⚠️ 云端数据未下载，跳过上传')
+      return false
+    }
     
     const freshLocalData = await exportLocalData()
+    freshLocalData.foldedDeltas = [...new Set([...foldedDeltas, ...(remoteData?.foldedDeltas || [])])].filter(isCurrent)
     
     progressCallback?.(`正在上传到云端... (${freshLocalData.books?.length || 0}本)`)
     try {
-      await uploadData(freshLocalData)
+      await uploadRemoteData(freshLocalData, remote.rev)
       progressCallback?.('上传成功')
+      return true
     } catch(uploadErr) {
+      if (isConflict(uploadErr) && attempt + 1 < MAX_UPLOAD_ATTEMPTS) {
+        console.log(`📚 SYNC: remote changed during sync — re-merging (attempt ${attempt + 2}/${MAX_UPLOAD_ATTEMPTS})`)
+        progressCallback?.('云端数据已被其他设备更新，重新合并...')
+        await conflictBackoff(attempt)
+        continue
+      }
       progressCallback?.('❌ 上传失败: ' + uploadErr.message)
       console.error('Upload failed:', uploadErr)
+      return false
     }
-    
-    progressCallback?.('正在同步书籍文件...')
-    await syncBookFiles(freshLocalData.books, progressCallback)
-    
-    progressCallback?.('正在同步翻译...')
-    for (const book of freshLocalData.books) {
-      try { await syncBookTranslations(book.id) } catch (e) { console.warn('Translation sync failed for', book.id, e.message) }
-    }
-    
-    progressCallback?.('同步完成!')
-    return { success: true }
-  } catch (e) {
-    console.error('Sync error:', e)
-    return { success: false, error: e.message }
   }
 }
 
+// Forget the snapshot revision: the next sync does a full merge + upload (after a backup restore,
+// whose records bypass the change log)
+export function requestFullSync() {
+  setKnownRev(DATA_PATH, undefined)
+}
+
+// ========== Delta sync ==========
+const COMPACT_AFTER_DELTAS = 20
+const COMPACT_AFTER_MS = 24 * 60 * 60 * 1000
+const deltaPath = name => `${DELTA_DIR}/${name}`
+
+function markDeltasApplied(names) {
+  if (!names?.length) return
+  const applied = getAppliedDeltas()
+  for (const name of names) applied.add(name)
+  setAppliedDeltas(applied)
+}
+
+// Delta names start with their creation time, so the oldest one dates the pile
+function compactionDue(names) {
+  if (names.length >= COMPACT_AFTER_DELTAS) return true
+  const oldest = Math.min(...names.map(name => parseInt(name, 10)).filter(Number.isFinite))
+  return Date.now() - oldest > COMPACT_AFTER_MS
+}
+
+// Merge the snapshot only when its revision moved (another device compacted)
+async function pullSnapshot(remoteRev, progressCallback) {
+  if (remoteRev !== null && remoteRev === getKnownRev(DATA_PATH)) return
+  progressCallback?.('正在下载云端快照...')
+  const { data, rev } = await getProvider().getJSONRev(DATA_PATH)
+  if (data) await applyMergedData(mergeData(await exportLocalData(), data))
+  markDeltasApplied(data?.foldedDeltas)
+  setKnownRev(DATA_PATH, rev ?? undefined)
+}
+
+// Apply remote delta files in creation order, each once
+async function pullDeltas(names, progressCallback) {
+  const applied = getAppliedDeltas()
+  const pending = names.filter(name => !applied.has(name)).sort()
+  for (const name of pending) {
+    progressCallback?.(`正在合并增量: ${name}`)
+    const delta = await getProvider().getJSON(deltaPath(name))
+    if (delta) await applyDelta(delta)
+    applied.add(name)
+    setAppliedDeltas(applied)
+  }
+  // Forget files that a compaction has since deleted
+  setAppliedDeltas([...applied].filter(name => names.includes(name)))
+  if (pending.length) console.log(`📚 SYNC: applied ${pending.length} remote deltas`)
+}
+
+// Merge a delta against just the local records it touches
+async function applyDelta(delta) {
+  const words = [...new Set([...(delta.vocabulary || []), ...(delta.reviewLog || [])].map(r => r.word))]
+  // Look the delta's records up under the ids they have here
+  delta = resolveBookAliases(delta, [...await getBookAliases(), ...(delta.bookAliases || [])])
+  const local = {
+    books: (await getRecords('books', (delta.books || []).map(b => b.id))).map(bookMetadata),
+    vocabulary: await getRecords('vocabulary', words),
+    reviewLog: await getRecordsByIndex('reviewLog', 'word', words),
+    highlights: await getRecordsByIndex('highlights', 'bookId', [...new Set((delta.highlights || []).map(h => h.bookId))]),
+    readingSessions: await getRecords('readingSessions', (delta.readingSessions || []).map(s => s.id)),
+    glossary: await getRecords('glossary', (delta.glossary || []).map(e => [e.bookId, e.term])),
+  }
+  await applyMergedData(mergeData(local, delta))
+}
+
+// Upload the locally changed records as one new delta file. Returns false if nothing changed.
+async function pushDelta(progressCallback) {
+  const changes = (await getPendingChanges()).filter(c => c.store !== 'translations')
+  if (!changes.length) return false
+  const keysByStore = {}
+  for (const { store, key } of changes) (keysByStore[store] ||= []).push(key)
+  const delta = {
+    version: 2,
+    kind: 'delta',
+    deviceId: getDeviceId(),
+    exportedAt: Date.now(),
+    books: (await getRecords('books', keysByStore.books || [])).map(bookMetadata),
+    vocabulary: await getRecords('vocabulary', keysByStore.vocabulary || []),
+    highlights: await getRecords('highlights', keysByStore.highlights || []),
+    reviewLog: await getRecords('reviewLog', keysByStore.reviewLog || []),
+    readingSessions: await getRecords('readingSessions', keysByStore.readingSessions || []),
+    glossary: await getRecords('glossary', keysByStore.glossary || []),
+    bookAliases: await getRecords('bookAliases', keysByStore.bookAliases || []),
+  }
+  const name = `${delta.exportedAt}-${delta.deviceId}.json`
+  progressCallback?.(`正在上传增量... (${changes.length}条变更)`)
+  await getProvider().putJSON(deltaPath(name), delta, { rev: null })
+  markDeltasApplied([name])
+  await clearPendingChanges(changes)
+  recordSyncStatus()
+  return true
+}
+
+// Fold every applied delta into a fresh snapshot, then delete the folded files
+async function compact(progressCallback) {
+  progressCallback?.('正在压缩增量到快照...')
+  const listedAt = Date.now()
+  const names = await getProvider().list(DELTA_DIR)
+  await pullDeltas(names, progressCallback)
+  const changes = (await getPendingChanges()).filter(c => c.store !== 'translations')
+  const applied = getAppliedDeltas()
+  const folded = names.filter(name => applied.has(name))
+  // Folded / applied names only matter while their file exists — without pruning both lists grow
+  // forever. Keep what this listing shows, and anything newer (names start with their creation time)
+  const listed = new Set(names)
+  const isCurrent = name => listed.has(name) || parseInt(name, 10) >= listedAt
+  if (!await syncData(progressCallback, folded, isCurrent)) return
+  // The snapshot holds every local record too
+  await clearPendingChanges(changes)
+  for (const name of folded) {
+    try {
+      await getProvider().delete(deltaPath(name))
+      listed.delete(name)
+    } catch (e) { console.warn('Could not delete delta', name, e.message) }
+  }
+  setAppliedDeltas([...getAppliedDeltas()].filter(isCurrent))
+  console.log(`📚 SYNC: compacted ${folded.length} deltas into the snapshot`)
+}
+
 // Get the "latest action" timestamp for a record (used for LWW comparison)
 function recordTimestamp(record) {
   return Math.max(record.addedAt || 0, record.deletedAt || 0)
 }
 
-function mergeData(local, remote) {
+// Field-level LWW for user-editable fields (each carries `<field>UpdatedAt`)
+const HIGHLIGHT_USER_FIELDS = ['note', 'color']
+const BOOK_USER_FIELDS = ['status', 'collections']
+function mergeStampedFields(target, a, b, fields) {
+  for (const field of fields) {
+    const stamp = `${field}UpdatedAt`
+    const src = (b[stamp] || 0) > (a[stamp] || 0) ? b : a
+    if (src[field] !== undefined) {
+      target[field] = src[field]
+      target[stamp] = src[stamp]
+    }
+  }
+  return target
+}
+const mergeHighlightFields = (target, a, b) => mergeStampedFields(target, a, b, HIGHLIGHT_USER_FIELDS)
+const mergeBookFields = (target, a, b) => mergeStampedFields(target, a, b, BOOK_USER_FIELDS)
+
+// Alias records from both sides, one per old id (the earliest merge)
+function mergeBookAliases(...lists) {
+  const aliases = new Map()
+  for (const alias of lists.flat().filter(Boolean)) {
+    const existing = aliases.get(alias.id)
+    if (!existing || (alias.mergedAt || 0) < (existing.mergedAt || 0)) aliases.set(alias.id, alias)
+  }
+  return [...aliases.values()]
+}
+
+// Re-file every record under its book's current id (SYNC DESIGN 8). Two copies of one book on
+// the same side collapse into one the way two sides do: the later `lastReadAt` wins
+function resolveBookAliases(data, aliases) {
+  if (!data || !aliases?.length) return data
+  const resolve = bookAliasResolver(aliases)
+  const rebook = record => {
+    const bookId = resolve(record.bookId)
+    return bookId === record.bookId ? record : { ...record, bookId }
+  }
+  const books = new Map()
+  for (const book of (data.books || [])) {
+    const copy = { ...book, id: resolve(book.id) }
+    const existing = books.get(copy.id)
+    if (!existing) {
+      books.set(copy.id, copy)
+      continue
+    }
+    const winner = (copy.lastReadAt || 0) > (existing.lastReadAt || 0) ? copy : existing
+    const addedAt = [copy.addedAt, existing.addedAt].filter(Boolean)
+    books.set(copy.id, mergeBookFields({ ...winner, addedAt: addedAt.length ? Math.min(...addedAt) : winner.addedAt, contentHash: copy.contentHash || existing.contentHash || null }, existing, copy))
+  }
+  return {
+    ...data,
+    books: [...books.values()],
+    highlights: (data.highlights || []).map(rebook),
+    readingSessions: (data.readingSessions || []).map(rebook),
+    glossary: (data.glossary || []).map(rebook),
+    vocabulary: (data.vocabulary || []).map(w => w.contexts?.some(c => c.bookId && resolve(c.bookId) !== c.bookId)
+      ? { ...w, contexts: w.contexts.map(c => c.bookId ? { ...c, bookId: resolve(c.bookId) } : c) }
+      : w),
+  }
+}
+
+export function mergeData(local, remote) {
   if (!remote) return local
   
-  const merged = { version: 2, exportedAt: Date.now(), books: [], vocabulary: [], highlights: [] }
+  const merged = { version: 2, exportedAt: Date.now(), books: [], vocabulary: [], highlights: [], reviewLog: [], readingSessions: [], glossary: [], bookAliases: [] }
+  
+  // --- Book aliases: union, then both sides use current book ids ---
+  merged.bookAliases = mergeBookAliases(local.bookAliases, remote.bookAliases)
+  local = resolveBookAliases(local, merged.bookAliases)
+  remote = resolveBookAliases(remote, merged.bookAliases)
   
   // --- Books: LWW by lastReadAt ---
   const booksMap = new Map()
@@ -127,9 +456,10 @@ function mergeData(local, remote) {
     if (existing) {
       if ((book.lastReadAt || 0) > (existing.lastReadAt || 0)) {
         console.log(`📚 MERGE: remote wins for "${book.title}": remote readAt=${book.lastReadAt} > local readAt=${existing.lastReadAt}`)
-        booksMap.set(book.id, book)
+        booksMap.set(book.id, mergeBookFields({ ...book }, existing, book))
       } else {
         console.log(`📚 MERGE: local wins for "${existing.title}": local readAt=${existing.lastReadAt} >= remote readAt=${book.lastReadAt}`)
+        booksMap.set(book.id, mergeBookFields({ ...existing }, existing, book))
       }
     } else {
       booksMap.set(book.id, book)
@@ -159,39 +489,92 @@ function mergeData(local, remote) {
       if (recordTimestamp(w) > recordTimestamp(existing)) {
         vocabMap.set(key, { ...existing, ...w })
       } else {
-        // Merge non-conflict fields: take max count, max interval
+        // Merge non-conflict fields: take max count; max interval only matters for words
+        // without a review log (the log replay below overrides scheduling fields)
         vocabMap.set(key, {
           ...w, ...existing,
           count: Math.max(existing.count || 1, w.count || 1),
           interval: Math.max(existing.interval || 0, w.interval || 0),
         })
       }
+      // Surface forms seen in books (e.g. "running" for "run") — union, never lost
+      const forms = [...new Set([...(existing.forms || []), ...(w.forms || [])])]
+      if (forms.length) vocabMap.get(key).forms = forms
+      // Context sentences from every device, one per spot (newest copy wins)
+      const contexts = new Map()
+      for (const c of [...(existing.contexts || []), ...(w.contexts || [])]) {
+        const prev = contexts.get(wordContextKey(c))
+        if (!prev || (c.addedAt || 0) >= (prev.addedAt || 0)) contexts.set(wordContextKey(c), c)
+      }
+      if (contexts.size) {
+        vocabMap.get(key).contexts = [...contexts.values()].sort((a, b) => (a.addedAt || 0) - (b.addedAt || 0)).slice(-MAX_WORD_CONTEXTS)
+      }
     }
   }
   merged.vocabulary = Array.from(vocabMap.values())
   
-  // --- Highlights: LWW-Element-Set by `bookId:text` ---
+  // --- Review log: union by id, then replay each reviewed word's schedule ---
+  const logMap = new Map()
+  for (const log of [...(remote.reviewLog || []), ...(local.reviewLog || [])]) logMap.set(log.id, log)
+  merged.reviewLog = Array.from(logMap.values())
+  const logsByWord = new Map()
+  for (const log of merged.reviewLog) {
+    if (!logsByWord.has(log.word)) logsByWord.set(log.word, [])
+    logsByWord.get(log.word).push(log)
+  }
+  for (const [word, logs] of logsByWord) {
+    const card = vocabMap.get(word)
+    if (card) Object.assign(card, replayReviews(logs))
+  }
+  
+  // --- Reading sessions: union by id, longer (later `endedAt`) copy wins ---
+  const sessionMap = new Map()
+  for (const session of [...(remote.readingSessions || []), ...(local.readingSessions || [])]) {
+    const existing = sessionMap.get(session.id)
+    if (!existing || (session.endedAt || 0) >= (existing.endedAt || 0)) sessionMap.set(session.id, session)
+  }
+  merged.readingSessions = Array.from(sessionMap.values())
+  
+  // --- Glossary: LWW-Element-Set by [bookId, term] ---
+  const glossaryMap = new Map()
+  const glossaryTimestamp = e => Math.max(e.updatedAt || 0, e.deletedAt || 0)
+  for (const entry of [...(local.glossary || []), ...(remote.glossary || [])]) {
+    const key = `${entry.bookId}\u0000${entry.term}`
+    const existing = glossaryMap.get(key)
+    if (!existing || glossaryTimestamp(entry) > glossaryTimestamp(existing)) glossaryMap.set(key, entry)
+  }
+  merged.glossary = Array.from(glossaryMap.values())
+  
+  // --- Highlights: LWW-Element-Set by `bookId:cfi` (legacy: `bookId:text`) ---
   const remoteHlTombstones = new Map()
   if (remote.deletedHighlights) {
     for (const t of remote.deletedHighlights) remoteHlTombstones.set(`${t.bookId}:${t.text}`, t.deletedAt || 0)
   }
   
   const hlMap = new Map()
-  for (const hl of [...(remote.highlights || []), ...(local.highlights || [])]) {
-    const key = `${hl.bookId}:${hl.text}`
+  const cfiKeyByText = new Map()  // `bookId:text` → key of a CFI-anchored record with that text
+  // CFI-anchored records first, so legacy records can fold into them
+  const allHl = [...(remote.highlights || []), ...(local.highlights || [])]
+  allHl.sort((a, b) => (b.cfi ? 1 : 0) - (a.cfi ? 1 : 0))
+  for (const hl of allHl) {
+    const textKey = `${hl.bookId}:${hl.text}`
+    let key = highlightKey(hl)
+    if (!hl.cfi && cfiKeyByText.has(textKey)) key = cfiKeyByText.get(textKey)
+    if (hl.cfi && !cfiKeyByText.has(textKey)) cfiKeyByText.set(textKey, key)
     // Apply v1 tombstones
-    if (remoteHlTombstones.has(key) && !hl.deletedAt) {
-      hl.deletedAt = remoteHlTombstones.get(key)
+    if (remoteHlTombstones.has(textKey) && !hl.deletedAt) {
+      hl.deletedAt = remoteHlTombstones.get(textKey)
     }
     const existing = hlMap.get(key)
     if (!existing) {
       hlMap.set(key, hl)
     } else {
-      // LWW: keep the one with the latest timestamp
-      if (recordTimestamp(hl) > recordTimestamp(existing)) {
-        hlMap.set(key, hl)
-      }
-      // else keep existing (earlier entry in the loop)
+      // LWW: keep the one with the latest timestamp (never lose the CFI anchor),
+      // then note/color independently by their own timestamps
+      const winner = recordTimestamp(hl) > recordTimestamp(existing)
+        ? { ...hl, cfi: hl.cfi || existing.cfi }
+        : existing
+      hlMap.set(key, mergeHighlightFields({ ...winner }, existing, hl))
     }
   }
   merged.highlights = Array.from(hlMap.values())
@@ -200,21 +583,35 @@ function mergeData(local, remote) {
 }
 
 // Apply merged data to local IndexedDB
-async function applyMergedData(data) {
-  const db = await new Promise((resolve, reject) => {
-    const req = indexedDB.open('epub-reader', 4)
-    req.onsuccess = () => resolve(req.result)
-    req.onerror = () => reject(req.error)
-  })
+export async function applyMergedData(data) {
+  await putBookAliases(data.bookAliases)
+  const db = await openDB()
   
   // --- Vocabulary: put all (including soft-deleted) ---
-  const vocabTx = db.transaction('vocabulary', 'readwrite')
+  const vocabTx = db.transaction(['vocabulary', 'reviewLog', ...SEARCH_STORES], 'readwrite')
   const vocabStore = vocabTx.objectStore('vocabulary')
-  for (const word of (data.vocabulary || [])) vocabStore.put(word)
+  for (const word of (data.vocabulary || [])) {
+    vocabStore.put(word)
+    indexRecord(vocabTx, 'word', word)
+  }
+  const logStore = vocabTx.objectStore('reviewLog')
+  for (const log of (data.reviewLog || [])) logStore.put(log)
   await new Promise((resolve, reject) => { vocabTx.oncomplete = resolve; vocabTx.onerror = () => reject(vocabTx.error) })
   
-  // --- Highlights: merge by key (bookId:text), not clear+add ---
-  const hlTx = db.transaction('highlights', 'readwrite')
+  // --- Reading sessions: put all (already resolved by id in mergeData) ---
+  const sessionTx = db.transaction('readingSessions', 'readwrite')
+  const sessionStore = sessionTx.objectStore('readingSessions')
+  for (const session of (data.readingSessions || [])) sessionStore.put(session)
+  await new Promise((resolve, reject) => { sessionTx.oncomplete = resolve; sessionTx.onerror = () => reject(sessionTx.error) })
+  
+  // --- Glossary: put all (already resolved by key in mergeData) ---
+  const glossaryTx = db.transaction('glossary', 'readwrite')
+  const glossaryStore = glossaryTx.objectStore('glossary')
+  for (const entry of (data.glossary || [])) glossaryStore.put(entry)
+  await new Promise((resolve, reject) => { glossaryTx.oncomplete = resolve; glossaryTx.onerror = () => reject(glossaryTx.error) })
+  
+  // --- Highlights: merge by key (bookId:cfi, legacy bookId:text), not clear+add ---
+  const hlTx = db.transaction(['highlights', ...SEARCH_STORES], 'readwrite')
   const hlStore = hlTx.objectStore('highlights')
   
   // Read existing highlights into a map by key
@@ -224,21 +621,33 @@ async function applyMergedData(data) {
     req.onerror = () => r([])
   })
   const existingHlMap = new Map()
-  for (const hl of existingHl) existingHlMap.set(`${hl.bookId}:${hl.text}`, hl)
+  const legacyHlMap = new Map()  // local records not yet anchored, by `bookId:text`
+  for (const hl of existingHl) {
+    existingHlMap.set(highlightKey(hl), hl)
+    if (!hl.cfi) legacyHlMap.set(`${hl.bookId}:${hl.text}`, hl)
+  }
   
   // Apply merged highlights
   for (const hl of (data.highlights || [])) {
-    const key = `${hl.bookId}:${hl.text}`
-    const existing = existingHlMap.get(key)
+    let existing = existingHlMap.get(highlightKey(hl))
+    if (!existing && hl.cfi) {
+      // Adopt a local legacy record for the same text (each one only once)
+      existing = legacyHlMap.get(`${hl.bookId}:${hl.text}`)
+      legacyHlMap.delete(`${hl.bookId}:${hl.text}`)
+    }
     if (existing) {
       // Update existing record (preserve its auto-increment id)
-      if (recordTimestamp(hl) >= recordTimestamp(existing)) {
-        hlStore.put({ ...existing, ...hl, id: existing.id })
-      }
+      const updated = recordTimestamp(hl) >= recordTimestamp(existing)
+        ? { ...existing, ...hl, cfi: hl.cfi || existing.cfi, id: existing.id }
+        : { ...existing, cfi: existing.cfi || hl.cfi }
+      const record = mergeHighlightFields(updated, existing, hl)
+      hlStore.put(record)
+      indexRecord(hlTx, 'highlight', record)
     } else {
       // New record — add (auto-increment id)
       const { id, ...rest } = hl
-      hlStore.add(rest)
+      const addReq = hlStore.add(rest)
+      addReq.onsuccess = () => indexRecord(hlTx, 'highlight', { ...rest, id: addReq.result })
     }
   }
   await new Promise((resolve, reject) => { hlTx.oncomplete = resolve; hlTx.onerror = () => reject(hlTx.error) })
@@ -254,20 +663,21 @@ async function applyMergedData(data) {
   const existingBooksMap = new Map(existingBooks.map(b => [b.id, b]))
   
   // Now write in a single synchronous pass (no await inside transaction)
-  const booksTx = db.transaction('books', 'readwrite')
+  const booksTx = db.transaction(['books', ...SEARCH_STORES], 'readwrite')
   const booksStore = booksTx.objectStore('books')
+  const putBook = record => { booksStore.put(record); indexRecord(booksTx, 'book', record) }
   for (const book of (data.books || [])) {
     const existing = existingBooksMap.get(book.id)
     if (!existing) {
       console.log(`📚 APPLY: adding new book "${book.title}" from remote`)
-      booksStore.put(book)
+      putBook(book)
     } else {
       const existingReadAt = existing.lastReadAt || 0
       const mergedReadAt = book.lastReadAt || 0
       
       if (mergedReadAt > existingReadAt) {
         console.log(`📚 APPLY: updating "${existing.title}" progress ${Math.round((existing.progress||0)*100)}% → ${Math.round((book.progress||0)*100)}%`)
-        booksStore.put({
+        putBook(mergeBookFields({
           ...existing,
           progress: book.progress,
           lastLocation: book.lastLocation,
@@ -276,15 +686,26 @@ async function applyMergedData(data) {
           author: book.author,
           coverBlob: book.coverBlob || existing.coverBlob,
           paragraphCount: book.paragraphCount || existing.paragraphCount || null,
-        })
+          sourceLang: book.sourceLang || existing.sourceLang || null,
+          targetLang: book.targetLang || existing.targetLang || null,
+          format: existing.format || book.format || null,
+          contentHash: existing.contentHash || book.contentHash || null,
+        }, existing, book))
       } else if (mergedReadAt === existingReadAt) {
         console.log(`📚 APPLY: same readAt for "${existing.title}" — metadata only`)
-        booksStore.put({
+        putBook(mergeBookFields({
           ...existing,
           title: book.title || existing.title,
           author: book.author || existing.author,
           paragraphCount: book.paragraphCount || existing.paragraphCount || null,
-        })
+          sourceLang: existing.sourceLang || book.sourceLang || null,
+          targetLang: existing.targetLang || book.targetLang || null,
+          format: existing.format || book.format || null,
+          contentHash: existing.contentHash || book.contentHash || null,
+        }, existing, book))
+      } else if (BOOK_USER_FIELDS.some(f => (book[`${f}UpdatedAt`] || 0) > (existing[`${f}UpdatedAt`] || 0))) {
+        console.log(`📚 APPLY: "${existing.title}" — local progress is newer, shelf fields from remote`)
+        putBook(mergeBookFields({ ...existing }, existing, book))
       } else {
         console.log(`📚 APPLY: SKIP "${existing.title}" — local is newer`)
       }
@@ -293,6 +714,12 @@ async function applyMergedData(data) {
   await new Promise((resolve, reject) => { booksTx.oncomplete = resolve; booksTx.onerror = () => reject(booksTx.error) })
   
   db.close()
+  
+  // --- Local books another device has merged into their content id (SYNC DESIGN 8) ---
+  const currentId = bookAliasResolver(data.bookAliases)
+  for (const book of existingBooks) {
+    if (currentId(book.id) !== book.id) await mergeBookInto(book.id, currentId(book.id))
+  }
 }
 
 // Sync book files
@@ -300,21 +727,29 @@ async function syncBookFiles(booksMeta, progressCallback) {
   const localBooks = await getAllBooks()
   const localBooksMap = new Map(localBooks.map(b => [b.id, b]))
   
-  let remoteBookIds = []
-  try { remoteBookIds = await listBooks() } catch (e) { console.warn('Could not list remote books:', e) }
+  let remoteBooks = new Map()
+  try { remoteBooks = await listRemoteBooks() } catch (e) { console.warn('Could not list remote books:', e) }
   
   for (const book of localBooks) {
-    if (!remoteBookIds.includes(book.id)) {
+    if (!remoteBooks.has(book.id)) {
       const cachedFile = await getCachedEpub(book.id)
       if (cachedFile) {
         progressCallback?.(`上传书籍: ${book.title}...`)
-        try { await uploadBook(book.id, cachedFile) } catch (e) { console.error(`Failed to upload book ${book.id}:`, e) }
+        try {
+          await uploadBookFile(book.id, cachedFile)
+          remoteBooks.set(book.id, formatOfFile(cachedFile))
+        } catch (e) { console.error(`Failed to upload book ${book.id}:`, e) }
       }
     }
   }
   
-  progressCallback?.(`远端书籍文件: ${remoteBookIds.length}个`)
-  for (const bookId of remoteBookIds) {
+  progressCallback?.(`远端书籍文件: ${remoteBooks.size}个`)
+  const currentId = bookAliasResolver(await getBookAliases())
+  for (const [bookId, format] of [...remoteBooks]) {
+    if (currentId(bookId) !== bookId) {
+      await retireRemoteBook(bookId, format, currentId(bookId), remoteBooks)
+      continue
+    }
     const localBook = localBooksMap.get(bookId)
     const cachedFile = localBook ? await getCachedEpub(bookId) : null
     // Download if book doesn't exist locally OR not in cache
@@ -322,13 +757,13 @@ async function syncBookFiles(booksMeta, progressCallback) {
       const meta = booksMeta.find(b => b.id === bookId) || { id: bookId, title: bookId, addedAt: Date.now() }
       progressCallback?.(`下载书籍: ${meta.title || bookId}...`)
       try {
-        const blob = await downloadBook(bookId)
-        if (blob) {
+        const file = await downloadBookFile(bookId, format, meta.title || bookId)
+        if (file) {
           // Re-read fresh record (applyMergedData may have written metadata)
           const { getBook } = await import('./db.js')
           const fresh = await getBook(bookId)
           const bookToSave = fresh || meta
-          await saveBook({ ...bookToSave, file: new File([blob], `${meta.title || bookId}.epub`, { type: 'application/epub+zip' }) })
+          await saveBook({ ...bookToSave, format, file })
           progressCallback?.(`✅ 下载完成: ${meta.title || bookId}`)
         }
       } catch (e) {
@@ -339,36 +774,133 @@ async function syncBookFiles(booksMeta, progressCallback) {
   }
 }
 
-// Quick push local → Dropbox (no merge)
+// A file left under a merged-away id (SYNC DESIGN 8): make sure the book is stored under its
+// current id — from the local cache, or this very file — then delete the old copy
+async function retireRemoteBook(oldId, format, bookId, remoteBooks) {
+  try {
+    if (!remoteBooks.has(bookId)) {
+      let file = await getCachedEpub(bookId)
+      if (!file) {
+        file = await downloadBookFile(oldId, format, bookId)
+        if (file) await cacheEpubFile(bookId, file)
+      }
+      if (!file) return
+      await uploadBookFile(bookId, file)
+      remoteBooks.set(bookId, formatOfFile(file))
+    }
+    await getProvider().delete(bookPath(oldId, format))
+    console.log(`📚 SYNC: removed duplicate remote book file ${oldId} (now ${bookId})`)
+  } catch (e) { console.warn('Could not clean up remote book file', oldId, e.message) }
+}
+
+// Quick push local → remote (no merge): just the local changes as a delta file.
+// Never synced with this remote yet → a full merge instead. The reader pushes on every
+// page turn, so it also compacts here once the deltas pile up.
 export async function pushToDropbox() {
-  if (!isDropboxConfigured() || !isLoggedIn()) return { success: false, error: 'Not configured or not logged in' }
+  if (!isSyncReady()) return { success: false, error: 'Not configured or not logged in' }
   try {
-    const localData = await exportLocalData()
-    await uploadData(localData)
+    if (getKnownRev(DATA_PATH) === undefined) await compact()
+    else if (await pushDelta() && compactionDue(await getProvider().list(DELTA_DIR))) await compact()
     return { success: true }
   } catch (e) { return { success: false, error: e.message } }
 }
 
-// Sync translations for a specific book
+// Only books whose remote translation file moved since we last saw it, or that have local changes
+async function syncChangedTranslations(books) {
+  let remoteRevs = {}
+  try { remoteRevs = await getProvider().listRevs('translations') } catch (e) { console.warn('Could not list remote translations:', e.message) }
+  const currentId = bookAliasResolver(await getBookAliases())
+  for (const name of Object.keys(remoteRevs)) {
+    const bookId = name.replace(/\.json$/, '')
+    if (currentId(bookId) !== bookId) await retireRemoteTranslations(bookId, currentId(bookId))
+  }
+  const changed = new Set((await getPendingChanges()).filter(c => c.store === 'translations').map(c => c.key))
+  for (const book of books) {
+    const name = `${book.id}.json`
+    const remoteChanged = name in remoteRevs && (remoteRevs[name] === undefined || remoteRevs[name] !== getKnownRev(translationsPath(book.id)))
+    if (!changed.has(book.id) && !remoteChanged) continue
+    try { await syncBookTranslations(book.id) } catch (e) { console.warn('Translation sync failed for', book.id, e.message) }
+  }
+}
+
+// Translations left under a merged-away id (SYNC DESIGN 8): fold them into the current book's
+// — logged as local changes, so they go up under the current id — then delete the old file
+async function retireRemoteTranslations(oldId, bookId) {
+  try {
+    const remote = await getProvider().getJSON(translationsPath(oldId))
+    const local = await getBookTranslationRecords(bookId)
+    const updates = []
+    for (const t of (Array.isArray(remote) ? remote : [])) {
+      const current = local[t.hash] && translationEntry(local[t.hash])
+      const merged = mergeTranslation(current, translationEntry(t))
+      if (JSON.stringify(merged) !== JSON.stringify(current)) updates.push({ ...merged, bookId, savedAt: Date.now() })
+    }
+    await importTranslations(updates)
+    await getProvider().delete(translationsPath(oldId))
+    setKnownRev(translationsPath(oldId), undefined)
+    console.log(`📚 SYNC: folded ${updates.length} translations from ${oldId} into ${bookId}`)
+  } catch (e) { console.warn('Could not clean up remote translations', oldId, e.message) }
+}
+
+// The synced part of a translation record (remote file entries)
+const TRANSLATION_SYNC_FIELDS = ['hash', 'translation', 'source', 'editedAt', 'flaggedAt', 'flagUpdatedAt']
+export function translationEntry(t) {
+  const entry = {}
+  for (const field of TRANSLATION_SYNC_FIELDS) if (t[field] != null) entry[field] = t[field]
+  return entry
+}
+
+// See SYNC DESIGN 4 — also used by backup restore
+export function mergeTranslation(local, remote) {
+  if (!local) return remote
+  if (!remote) return local
+  const isUser = t => t.source === 'user'
+  const winner = isUser(remote) && (!isUser(local) || (remote.editedAt || 0) > (local.editedAt || 0)) ? remote : local
+  const flag = (remote.flagUpdatedAt || 0) > (local.flagUpdatedAt || 0) ? remote : local
+  return translationEntry({ ...winner, flaggedAt: flag.flaggedAt, flagUpdatedAt: flag.flagUpdatedAt })
+}
+
+// Sync translations for a specific book (additive merge, conditional upload like the data file)
 export async function syncBookTranslations(bookId) {
-  if (!isDropboxConfigured() || !isLoggedIn()) return { success: false, error: 'Not configured or not logged in' }
+  if (!isSyncReady()) return { success: false, error: 'Not configured or not logged in' }
   try {
-    const localTranslations = await getBookTranslations(bookId)
-    const localArray = Object.entries(localTranslations).map(([hash, translation]) => ({ hash, translation }))
-    let remoteTranslations = null
-    try { remoteTranslations = await downloadBookTranslations(bookId) } catch (e) { console.log('No remote translations for', bookId) }
-    
-    const merged = {}
-    if (remoteTranslations && Array.isArray(remoteTranslations)) for (const t of remoteTranslations) merged[t.hash] = t.translation
-    for (const t of localArray) merged[t.hash] = t.translation
-    
-    const mergedArray = Object.entries(merged).map(([hash, translation]) => ({ hash, translation }))
-    if (mergedArray.length > 0) {
-      await importTranslations(mergedArray.map(t => ({ bookId, hash: t.hash, translation: t.translation, savedAt: Date.now() })))
-      await uploadBookTranslations(bookId, mergedArray)
-      console.log(`Synced ${mergedArray.length} translations for book ${bookId}`)
+    const changes = (await getPendingChanges()).filter(c => c.store === 'translations' && c.key === bookId)
+    for (let attempt = 0; ; attempt++) {
+      const localArray = Object.values(await getBookTranslationRecords(bookId)).map(translationEntry)
+      let remote = null
+      try { remote = await getProvider().getJSONRev(translationsPath(bookId)) } catch (e) { console.warn('Could not download translations for', bookId, e.message) }
+      const remoteTranslations = remote?.data
+      
+      const remoteMerged = {}
+      if (remoteTranslations && Array.isArray(remoteTranslations)) for (const t of remoteTranslations) remoteMerged[t.hash] = translationEntry(t)
+      const merged = { ...remoteMerged }
+      for (const t of localArray) merged[t.hash] = mergeTranslation(t, remoteMerged[t.hash])
+      
+      const mergedArray = Object.values(merged)
+      let rev = remote?.rev
+      if (mergedArray.length > 0) {
+        await importTranslations(mergedArray.map(t => ({ ...t, bookId, savedAt: Date.now() })), { fromSync: true })
+        // Upload only when the remote is missing something, and never blind (no rev = no upload)
+        if (remote && mergedArray.some(t => JSON.stringify(remoteMerged[t.hash]) !== JSON.stringify(t))) {
+          try {
+            rev = await getProvider().putJSON(translationsPath(bookId), mergedArray, { rev: conditionalRev(translationsPath(bookId), remote.rev) })
+          } catch (e) {
+            if (isConflict(e) && attempt + 1 < MAX_UPLOAD_ATTEMPTS) {
+              console.log(`Translations for ${bookId} changed remotely — re-merging (attempt ${attempt + 2}/${MAX_UPLOAD_ATTEMPTS})`)
+              await conflictBackoff(attempt)
+              continue
+            }
+            throw e
+          }
+        }
+        console.log(`Synced ${mergedArray.length} translations for book ${bookId}`)
+      }
+      if (remote) {
+        setKnownRev(translationsPath(bookId), rev ?? undefined)
+        await clearPendingChanges(changes)
+      }
+      return { success: true, count: mergedArray.length }
     }
-    return { success: true, count: mergedArray.length }
   } catch (e) {
     console.error('Failed to sync book translations:', e)
     return { success: false, error: e.message }
@@ -0,0 +1,236 @@
+// Plain text / Markdown → EPUB 3, so .txt and .md files import like any other book
+//
+// Text: a line like "Chapter 3", "CHAPTER IV", "Part One", "Prologue" or "第十二章 …" on its own
+// starts a chapter. Paragraphs are separated by blank lines (hard-wrapped lines are joined); a
+// file with no blank lines at all — most Chinese TXT — has one paragraph per line.
+// Markdown: headings of the top level used for chapters start them (a single # heading is the
+// book title); paragraphs, > quotes, lists, --- rules, fenced code, **bold**, *italic*, `code`
+// and links. Images are dropped (alt text kept): there's nothing to load them from.
+// Encoding: UTF-8 / UTF-16 with BOM, else UTF-8, else GB18030 (Chinese TXT).
+import { detectTextLanguage, DEFAULT_SOURCE } from './languages.js'
+import { stripExtension } from './formats.js'
+
+const ZIP_CDN = 'https://cdn.jsdelivr.net/npm/@zip.js/zip.js/+esm'
+const PARAGRAPHS_PER_PART = 200  // text without chapter headings is split so sections stay small
+
+const TEXT_CHAPTER_RE = new RegExp([
+  String.raw`^(?:chapter|part|book)\s+(?:\d+|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|[a-z]+teen|twenty|thirty|forty|fifty)\b.*$`,
+  String.raw`^(?:prologue|epilogue|preface|foreword|introduction|afterword)\b.{0,40}$`,
+  String.raw`^第[0-9０-９零〇一二三四五六七八九十百千两]+[章回节卷部篇集].*$`,
+  String.raw`^(?:序章|序言|楔子|尾声|后记|番外.*)$`,
+].join('|'), 'iu')
+const MAX_HEADING_LENGTH = 60
+
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff00-\uffef]/u
+
+const escapeXML = text => text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+
+function decode(buffer) {
+  const bytes = new Uint8Array(buffer)
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes)
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes)
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes)  // drops a UTF-8 BOM too
+  } catch {
+    return new TextDecoder('gb18030').decode(bytes)
+  }
+}
+
+// Hard-wrapped lines → one paragraph: a space between words, nothing between CJK characters
+function joinLines(lines) {
+  return lines.reduce((text, line) => {
+    if (!text) return line
+    return text + (CJK_RE.test(text.at(-1)) && CJK_RE.test(line[0]) ? '' : ' ') + line
+  }, '')
+}
+
+// → [{ title, blocks: [xhtml] }]
+function parseText(text) {
+  const lines = text.split(/\r\n?|\n/).map(line => line.trim())
+  const hasBlankLines = lines.some((line, i) => !line && lines[i - 1] && lines[i + 1])
+  const paragraphs = []
+  let current = []
+  for (const line of lines) {
+    if (line && hasBlankLines) { current.push(line); continue }
+    if (current.length) paragraphs.push(joinLines(current))
+    current = line ? [line] : []
+  }
+  if (current.length) paragraphs.push(joinLines(current))
+
+  const chapters = []
+  for (const paragraph of paragraphs) {
+    if (paragraph.length <= MAX_HEADING_LENGTH && TEXT_CHAPTER_RE.test(paragraph)) {
+      chapters.push({ title: paragraph, blocks: [] })
+      continue
+    }
+    if (!chapters.length) chapters.push({ title: null, blocks: [] })
+    chapters.at(-1).blocks.push(`<p>${escapeXML(paragraph)}</p>`)
+  }
+  return chapters
+}
+
+function inlineMarkdown(text) {
+  const code = []
+  return escapeXML(text)
+    .replace(/`([^`]+)`/g, (_, c) => `\u0000${code.push(c) - 1}\u0000`)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\((https?:[^)\s]+)[^)]*\)/g, '<a href="$2">$1</a>')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+    .replace(/(?<![\w*])([*_])(?=\S)(.+?)(?<=\S)\1(?![\w*])/g, '<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${code[i]}</code>`)
+}
+
+// → { title, chapters: [{ title, blocks }] }
+function parseMarkdown(text) {
+  const lines = text.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '').split(/\r\n?|\n/)  // front matter
+  const levels = lines.map(line => line.match(/^(#{1,6})\s+\S/)?.[1].length).filter(Boolean)
+  const count = level => levels.filter(l => l === level).length
+  // A lone # heading is the book's title; chapters are the top heading level below it
+  const title = count(1) === 1 ? lines.find(line => /^#\s+\S/.test(line)).replace(/^#\s+|\s+#*$/g, '') : null
+  const chapterLevel = [1, 2, 3, 4, 5, 6].find(level => count(level) > (level === 1 && title ? 1 : 0)) || 0
+
+  const chapters = [{ title: null, blocks: [] }]
+  let paragraph = [], list = null, quote = [], fence = null
+  const block = html => chapters.at(-1).blocks.push(html)
+  const flush = () => {
+    if (paragraph.length) block(`<p>${inlineMarkdown(joinLines(paragraph))}</p>`)
+    if (quote.length) block(`<blockquote><p>${inlineMarkdown(joinLines(quote))}</p></blockquote>`)
+    if (list) block(`<${list.tag}>${list.items.map(item => `<li>${inlineMarkdown(item)}</li>`).join('')}</${list.tag}>`)
+    paragraph = []; quote = []; list = null
+  }
+
+  for (const raw of lines) {
+    if (fence) {
+      if (/^\s*(```|~~~)/.test(raw)) { block(`<pre><code>${escapeXML(fence.join('\n'))}</code></pre>`); fence = null }
+      else fence.push(raw)
+      continue
+    }
+    const line = raw.trim()
+    let match
+    if (/^(```|~~~)/.test(line)) { flush(); fence = [] }
+    else if (!line) flush()
+    else if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*$/))) {
+      flush()
+      const level = match[1].length
+      if (level === 1 && title) continue
+      // Chapter titles are <h2>, headings inside a chapter follow from <h3>
+      const tag = `h${Math.min(6, Math.max(3, 2 + level - chapterLevel))}`
+      if (level === chapterLevel) chapters.push({ title: match[2].replace(/[*_`]/g, ''), blocks: [] })
+      else block(`<${tag}>${inlineMarkdown(match[2])}</${tag}>`)
+    }
+    else if (/^([-*_])(\s*\1){2,}$/.test(line)) { flush(); block('<hr/>') }
+    else if ((match = line.match(/^>\s?(.*)$/))) { if (paragraph.length || list) flush(); quote.push(match[1]) }
+    else if ((match = line.match(/^([-*+]|\d+[.)])\s+(.*)$/))) {
+      const tag = /\d/.test(match[1]) ? 'ol' : 'ul'
+      if (paragraph.length || quote.length || (list && list.tag !== tag)) flush()
+      list ??= { tag, items: [] }
+      list.items.push(match[2])
+    }
+    else if (list) list.items[list.items.length - 1] += ' ' + line  // continuation of an item
+    else { if (quote.length) flush(); paragraph.push(line) }
+  }
+  if (fence) block(`<pre><code>${escapeXML(fence.join('\n'))}</code></pre>`)
+  flush()
+  return { title, chapters }
+}
+
+// Long heading-less text → parts of PARAGRAPHS_PER_PART blocks
+function splitLongChapters(chapters) {
+  return chapters.filter(c => c.title || c.blocks.length).flatMap(chapter => {
+    if (chapter.blocks.length <= PARAGRAPHS_PER_PART) return [chapter]
+    const parts = []
+    for (let i = 0; i < chapter.blocks.length; i += PARAGRAPHS_PER_PART) {
+      parts.push({ title: i ? null : chapter.title, blocks: chapter.blocks.slice(i, i + PARAGRAPHS_PER_PART) })
+    }
+    return parts
+  })
+}
+
+function chapterDocument({ title, blocks }, label, lang) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+<head><meta charset="utf-8"/><title>${escapeXML(label)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>
+<body><section epub:type="chapter">
+${title ? `<h2>${escapeXML(title)}</h2>\n` : ''}${blocks.join('\n')}
+</section></body>
+</html>
+`
+}
+
+function navDocument(labels, title, lang) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+<head><meta charset="utf-8"/><title>${escapeXML(title)}</title></head>
+<body><nav epub:type="toc" id="toc"><ol>
+${labels.map((label, i) => `<li><a href="${chapterName(i)}">${escapeXML(label)}</a></li>`).join('\n')}
+</ol></nav></body>
+</html>
+`
+}
+
+function packageDocument(count, { title, lang }) {
+  const items = Array.from({ length: count }, (_, i) => `<item id="c${i + 1}" href="${chapterName(i)}" media-type="application/xhtml+xml"/>`)
+  const itemrefs = Array.from({ length: count }, (_, i) => `<itemref idref="c${i + 1}"/>`)
+  return `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${crypto.randomUUID()}</dc:identifier>
+<dc:title>${escapeXML(title)}</dc:title>
+<dc:language>${lang}</dc:language>
+<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${items.join('\n')}
+</manifest>
+<spine>
+${itemrefs.join('\n')}
+</spine>
+</package>
+`
+}
+
+const chapterName = i => `chapter-${String(i + 1).padStart(3, '0')}.xhtml`
+
+const CONTAINER = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+`
+
+const STYLESHEET = `body { line-height: 1.6; }
+h2 { margin: 1em 0; text-align: center; }
+p { margin: 0 0 0.8em; text-align: justify; }
+blockquote { margin: 0 1.5em 0.8em; font-style: italic; }
+pre { white-space: pre-wrap; font-size: 0.85em; }
+`
+
+// .txt / .md File → EPUB File named after it
+export async function textToEpub(file) {
+  const text = decode(await file.arrayBuffer())
+  const markdown = /\.(md|markdown)$/i.test(file.name)
+  const parsed = markdown ? parseMarkdown(text) : { title: null, chapters: parseText(text) }
+  const title = parsed.title || stripExtension(file.name)
+  const lang = detectTextLanguage(text.slice(0, 5000)) || DEFAULT_SOURCE
+  const chapters = splitLongChapters(parsed.chapters)
+  if (!chapters.length) throw Object.assign(new Error('文件没有文字内容'), { name: 'ConversionError' })
+  const labels = chapters.map((c, i) => c.title || (chapters.length > 1 ? `${title} (${i + 1})` : title))
+
+  const { ZipWriter, BlobWriter, TextReader } = await import(ZIP_CDN)
+  const zip = new ZipWriter(new BlobWriter('application/epub+zip'))
+  await zip.add('mimetype', new TextReader('application/epub+zip'), { level: 0, extendedTimestamp: false, dataDescriptor: false })
+  await zip.add('META-INF/container.xml', new TextReader(CONTAINER))
+  await zip.add('OEBPS/content.opf', new TextReader(packageDocument(chapters.length, { title, lang })))
+  await zip.add('OEBPS/nav.xhtml', new TextReader(navDocument(labels, title, lang)))
+  await zip.add('OEBPS/style.css', new TextReader(STYLESHEET))
+  for (const [i, chapter] of chapters.entries()) {
+    await zip.add(`OEBPS/${chapterName(i)}`, new TextReader(chapterDocument(chapter, labels[i], lang)))
+  }
+  const blob = await zip.close()
+  console.log(`📚 Converted ${file.name} to EPUB: ${chapters.length} chapters, language ${lang}`)
+  return new File([blob], `${title}.epub`, { type: 'application/epub+zip' })
+}
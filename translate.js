@@ -1,250 +1,245 @@
-// translate.js - Full book translation module
-import { saveTranslation, getBookTranslations, hashText } from './db.js'
+// Translation providers — the one place that talks to a translation API.
+// index.html drives book translation (queue, batching, saving); this module turns a batch of
+// paragraphs into translations with whichever service is configured in settings.
+//
+// Provider interface:
+//   id, label
+//   defaults             → { baseUrl, model } prefilled in settings
+//   usesModel            → show the model field (DeepL has none)
+//   translate(paragraphs, request, config) → { [n]: translation }, n = 1-based position in `paragraphs`
+//                        request = { source, target, glossary, context, kind } — language codes
+//                        (languages.js), glossary entries and preceding paragraphs (glossary.js);
+//                        kind 'terms' = glossary terms instead of running text
+//
+// Config (localStorage `translation-config`): { provider, baseUrl, model, apiKey }.
+// An OpenAI-compatible server on localhost (Ollama, llama.cpp, LM Studio) translates fully offline.
+//
+// translateParagraphs() is what book translation uses: transient errors (429, 5xx, network) are
+// retried with exponential backoff honoring Retry-After, a batch that keeps failing is split in
+// halves, and paragraphs the model skipped or merged are re-requested on their own.
 
-const TRANSLATE_API = 'https://nixbook.wulujia.workers.dev'
-const ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929'
-const BATCH_SIZE = 10
+import { LANGUAGES, DEFAULT_SOURCE, DEFAULT_TARGET, translationPrompt, termsPrompt } from './languages.js'
 
-// Track active translations
-const activeTranslations = new Map() // bookId -> { progress, total, cancel }
+const CONFIG_KEY = 'translation-config'
 
-export function getTranslationProgress(bookId) {
-  return activeTranslations.get(bookId) || null
-}
-
-export function cancelTranslation(bookId) {
-  const state = activeTranslations.get(bookId)
-  if (state) {
-    state.cancel = true
-  }
+function prompt(paragraphs, request) {
+  const numbered = paragraphs.map((p, i) => `[${i + 1}] ${p}`).join('\n\n')
+  return request.kind === 'terms' ? termsPrompt(numbered, request) : translationPrompt(numbered, request)
 }
 
-// Batch translate paragraphs using Claude Sonnet
-async function translateBatch(paragraphs) {
-  const numbered = paragraphs.map((p, i) => `[${i + 1}] ${p}`).join('\n\n')
-  const prompt = `将以下英文段落翻译成中文。保持段落编号，只输出翻译结果，不要解释。
-
-${numbered}`
-  
-  const res = await fetch(TRANSLATE_API, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      
-      
-      
-    },
-    body: JSON.stringify({
-      model: ANTHROPIC_MODEL,
-      max_tokens: 4096,
-      messages: [{ role: 'user', content: prompt }]
-    })
-  })
-  
-  if (!res.ok) {
-    const err = await res.text()
-    throw new Error(`API error: ${res.status} - ${err}`)
-  }
-  
-  const data = await res.json()
-  const content = data.content?.[0]?.text || ''
-  
-  // Parse numbered translations
+// "[1] …\n\n[2] …" → { 1: '…', 2: '…' } (a paragraph may span several lines)
+export function parseNumbered(content) {
   const translations = {}
-  const lines = content.split('\n')
-  let currentNum = null
-  let currentText = []
-  
-  for (const line of lines) {
+  let currentNum = null, currentText = []
+  for (const line of content.split('\n')) {
     const match = line.match(/^\[(\d+)\]\s*(.*)/)
     if (match) {
-      if (currentNum !== null && currentText.length > 0) {
-        translations[currentNum] = currentText.join('\n').trim()
-      }
-      currentNum = parseInt(match[1])
-      currentText = match[2] ? [match[2]] : []
-    } else if (currentNum !== null && line.trim()) {
-      currentText.push(line)
-    }
-  }
-  if (currentNum !== null && currentText.length > 0) {
-    translations[currentNum] = currentText.join('\n').trim()
+      if (currentNum !== null && currentText.length) translations[currentNum] = currentText.join('\n').trim()
+      currentNum = parseInt(match[1]); currentText = match[2] ? [match[2]] : []
+    } else if (currentNum !== null && line.trim()) currentText.push(line)
   }
-  
+  if (currentNum !== null && currentText.length) translations[currentNum] = currentText.join('\n').trim()
   return translations
 }
 
-// Extract text content from an HTML document string
-function extractParagraphs(htmlContent) {
-  const parser = new DOMParser()
-  const doc = parser.parseFromString(htmlContent, 'text/html')
-  const paragraphs = []
-  
-  doc.querySelectorAll('p').forEach(p => {
-    const text = p.textContent?.trim()
-    // Only English paragraphs, at least 10 chars
-    if (text && text.length >= 10 && !/[\u4e00-\u9fff]/.test(text)) {
-      paragraphs.push(text)
-    }
-  })
-  
-  return paragraphs
+const translationError = (message, fields) => Object.assign(new Error(message), { name: 'TranslationError', ...fields })
+
+// Retry-After is either seconds or an HTTP date → ms, or null
+function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return seconds * 1000
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
 }
 
-// Translate entire book
-export async function translateBook(bookFile, bookId, onProgress) {
-  // Check if already translating
-  if (activeTranslations.has(bookId)) {
-    console.log('Translation already in progress for', bookId)
-    return { success: false, error: 'Already translating' }
+async function postJSON(url, headers, body) {
+  const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) })
+  if (!res.ok) {
+    throw translationError(`API ${res.status}: ${(await res.text().catch(() => '')).slice(0, 200)}`, {
+      status: res.status,
+      retryAfter: parseRetryAfter(res.headers.get('Retry-After')),
+    })
   }
-  
-  // Get existing translations to skip
-  const existingTranslations = await getBookTranslations(bookId)
-  const existingHashes = new Set(Object.keys(existingTranslations))
-  
-  const state = { progress: 0, total: 0, cancel: false, status: 'loading' }
-  activeTranslations.set(bookId, state)
-  
-  try {
-    // Load foliate-js
-    const FOLIATE_CDN = 'https://cdn.jsdelivr.net/gh/johnfactotum/foliate-js@main/'
-    const { EPUB } = await import(FOLIATE_CDN + 'epub.js')
-    
-    // Open the book
-    state.status = 'parsing'
-    onProgress?.({ status: 'parsing', message: '解析书籍...' })
-    
-    const book = await new EPUB(bookFile).init()
-    
-    // Get all spine items (sections)
-    const spine = book.sections || []
-    console.log(`Book has ${spine.length} sections`)
-    
-    // Collect all paragraphs from all sections
-    state.status = 'extracting'
-    onProgress?.({ status: 'extracting', message: '提取文本...' })
-    
-    const allParagraphs = []
-    
-    for (let i = 0; i < spine.length; i++) {
-      if (state.cancel) break
-      
-      const section = spine[i]
-      try {
-        // Load section content
-        const doc = await section.createDocument()
-        if (!doc) continue
-        
-        // Extract paragraphs
-        doc.querySelectorAll('p').forEach(p => {
-          const text = p.textContent?.trim()
-          if (text && text.length >= 10 && !/[\u4e00-\u9fff]/.test(text)) {
-            const hash = hashText(text)
-            // Skip if already translated
-            if (!existingHashes.has(hash)) {
-              allParagraphs.push({ text, hash })
-            }
-          }
-        })
-      } catch (e) {
-        console.warn(`Failed to load section ${i}:`, e)
-      }
-    }
-    
-    console.log(`Found ${allParagraphs.length} paragraphs to translate (${existingHashes.size} already done)`)
-    
-    if (allParagraphs.length === 0) {
-      state.status = 'done'
-      activeTranslations.delete(bookId)
-      onProgress?.({ status: 'done', message: '翻译完成', progress: 100 })
-      return { success: true, translated: 0, total: existingHashes.size }
-    }
-    
-    state.total = allParagraphs.length
-    state.status = 'translating'
-    
-    // Translate in batches
-    let translated = 0
-    
-    for (let i = 0; i < allParagraphs.length; i += BATCH_SIZE) {
-      if (state.cancel) {
-        console.log('Translation cancelled')
-        break
-      }
-      
-      const batch = allParagraphs.slice(i, i + BATCH_SIZE)
-      const texts = batch.map(p => p.text)
-      
-      try {
-        const results = await translateBatch(texts)
-        
-        // Save translations
-        for (let j = 0; j < batch.length; j++) {
-          const translation = results[j + 1]
-          if (translation) {
-            await saveTranslation(bookId, batch[j].text, translation)
-            translated++
-          }
-        }
-        
-        state.progress = translated
-        const percent = Math.round((i + batch.length) / allParagraphs.length * 100)
-        onProgress?.({ 
-          status: 'translating', 
-          message: `翻译中 ${percent}%`,
-          progress: percent,
-          translated,
-          total: allParagraphs.length
-        })
-        
-        // Small delay between batches to avoid rate limits
-        await new Promise(r => setTimeout(r, 300))
-        
-      } catch (e) {
-        console.error('Translation batch error:', e)
-        // Continue with next batch on error
-        await new Promise(r => setTimeout(r, 1000))
-      }
+  return res.json()
+}
+
+// Anthropic Messages API — the NixBook Cloudflare Worker proxy, or api.anthropic.com with a key
+const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic 兼容（NixBook 代理）',
+  defaults: { baseUrl: 'https://nixbook.wulujia.workers.dev', model: 'minimax/minimax-m2.5' },
+  usesModel: true,
+  async translate(paragraphs, request, { baseUrl, model, apiKey }) {
+    const headers = apiKey
+      ? { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01', 'anthropic-dangerous-direct-browser-access': 'true' }
+      : {}
+    const data = await postJSON(baseUrl, headers, { model, max_tokens: 4096, messages: [{ role: 'user', content: prompt(paragraphs, request) }] })
+    return parseNumbered(data.content?.[0]?.text || '')
+  },
+}
+
+// POST {baseUrl}/chat/completions — OpenAI, OpenRouter, Ollama, llama.cpp server, LM Studio, vLLM
+const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI 兼容（Ollama / LM Studio 等）',
+  defaults: { baseUrl: 'http://localhost:11434/v1', model: 'qwen2.5:7b' },
+  usesModel: true,
+  async translate(paragraphs, request, { baseUrl, model, apiKey }) {
+    const data = await postJSON(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, {
+      model,
+      temperature: 0.2,
+      messages: [{ role: 'user', content: prompt(paragraphs, request) }],
+    })
+    // Reasoning models (Qwen3, DeepSeek-R1) may prepend their thinking
+    const content = (data.choices?.[0]?.message?.content || '').replace(/<think>[\s\S]*?<\/think>/g, '')
+    return parseNumbered(content)
+  },
+}
+
+// POST {baseUrl}/v2/translate — DeepL or a DeepL-compatible server. One text per paragraph, no
+// numbering to parse. The official API sends no CORS headers: use a proxy or self-hosted server.
+// Preceding paragraphs go in `context`; the glossary isn't sent (DeepL wants a stored glossary id).
+const deeplProvider = {
+  id: 'deepl',
+  label: 'DeepL 兼容',
+  defaults: { baseUrl: 'https://api-free.deepl.com', model: '' },
+  usesModel: false,
+  async translate(paragraphs, { source, target, context = [] }, { baseUrl, apiKey }) {
+    const data = await postJSON(`${baseUrl.replace(/\/+$/, '')}/v2/translate`, apiKey ? { Authorization: `DeepL-Auth-Key ${apiKey}` } : {}, {
+      text: paragraphs,
+      source_lang: LANGUAGES[source].deepl[0],
+      target_lang: LANGUAGES[target].deepl[1],
+      ...(context.length ? { context: context.join('\n\n') } : {}),
+    })
+    const translations = {}
+    ;(data.translations || []).forEach((t, i) => { if (t.text) translations[i + 1] = t.text })
+    return translations
+  },
+}
+
+export const TRANSLATION_PROVIDERS = {
+  anthropic: anthropicProvider,
+  openai: openaiProvider,
+  deepl: deeplProvider,
+}
+
+// Saved config with the provider's defaults filled in for empty fields
+export function getTranslationConfig() {
+  let saved = {}
+  try { saved = JSON.parse(localStorage.getItem(CONFIG_KEY)) || {} } catch {}
+  const provider = TRANSLATION_PROVIDERS[saved.provider] || anthropicProvider
+  return {
+    provider: provider.id,
+    baseUrl: saved.baseUrl || provider.defaults.baseUrl,
+    model: saved.model || provider.defaults.model,
+    apiKey: saved.apiKey || '',
+  }
+}
+
+export function setTranslationConfig(config) {
+  localStorage.setItem(CONFIG_KEY, JSON.stringify(config))
+}
+
+export function translateBatch(paragraphs, request = { source: DEFAULT_SOURCE, target: DEFAULT_TARGET }, config = getTranslationConfig()) {
+  return TRANSLATION_PROVIDERS[config.provider].translate(paragraphs, request, config)
+}
+
+// ========== Retry and recovery ==========
+const MAX_ATTEMPTS = 5
+const BASE_DELAY = 1000
+const MAX_DELAY = 60 * 1000
+const CONTEXT_PARAGRAPHS = 2
+
+const sleep = ms => new Promise(r => setTimeout(r, ms))
+
+// Worth another try: rate limit, timeout, server error, or no response at all (fetch TypeError)
+const isTransient = e => e.status ? e.status === 408 || e.status === 429 || e.status >= 500 : e.name === 'TypeError'
+
+// The request can never work (bad key, wrong URL or model) — neither retrying nor splitting helps
+export const isFatalTranslationError = e => [401, 403, 404].includes(e?.status)
+
+async function withRetry(fn, onRetry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn()
+    } catch (e) {
+      if (!isTransient(e) || attempt >= MAX_ATTEMPTS) throw e
+      const backoff = BASE_DELAY * 2 ** (attempt - 1) * (1 + Math.random() * 0.25)
+      const delay = Math.min(MAX_DELAY, e.retryAfter ?? backoff)
+      console.warn(`📚 Translation request failed (${e.message}) — retry ${attempt}/${MAX_ATTEMPTS - 1} in ${Math.round(delay / 1000)}s`)
+      onRetry?.({ attempt, delay, error: e })
+      await sleep(delay)
     }
-    
-    state.status = 'done'
-    activeTranslations.delete(bookId)
-    onProgress?.({ status: 'done', message: '翻译完成', progress: 100 })
-    
-    return { success: true, translated, total: allParagraphs.length + existingHashes.size }
-    
-  } catch (e) {
-    console.error('Translation failed:', e)
-    activeTranslations.delete(bookId)
-    onProgress?.({ status: 'error', message: e.message })
-    return { success: false, error: e.message }
   }
 }
 
-// Check if book needs translation (quick check)
-export async function needsTranslation(bookFile) {
-  try {
-    const FOLIATE_CDN = 'https://cdn.jsdelivr.net/gh/johnfactotum/foliate-js@main/'
-    const { EPUB } = await import(FOLIATE_CDN + 'epub.js')
-    
-    const book = await new EPUB(bookFile).init()
-    const sections = book.sections || []
-    
-    // Check first section for English content
-    if (sections.length > 0) {
-      const doc = await sections[0].createDocument()
-      if (doc) {
-        const text = doc.body?.textContent || ''
-        // If mostly English, needs translation
-        const englishChars = (text.match(/[a-zA-Z]/g) || []).length
-        const chineseChars = (text.match(/[\u4e00-\u9fff]/g) || []).length
-        return englishChars > chineseChars * 2
-      }
+// Numbers missing from a reply, plus the one right before each gap: when "[3]" is missing,
+// "[2]" usually holds paragraphs 2 and 3 merged into one
+function suspectNumbers(results, count) {
+  const suspects = new Set()
+  for (let n = 1; n <= count; n++) {
+    if (results[n]?.trim()) continue
+    suspects.add(n)
+    if (n > 1 && results[n - 1]?.trim()) suspects.add(n - 1)
+  }
+  return suspects
+}
+
+// Translate a batch as completely as possible → { translations: { [n]: text }, failed: [n], error }
+// (n = 1-based position in `paragraphs`). Throws only for fatal errors (isFatalTranslationError).
+export async function translateParagraphs(paragraphs, request, config = getTranslationConfig(), { onRetry } = {}) {
+  const translations = {}
+  const fallback = {}  // suspected merged translations, kept if the re-request fails
+  const failed = new Set()
+  let error = null
+
+  // Sub-batches get the paragraphs right before them as context
+  const requestFor = indices => indices[0] === 0
+    ? request
+    : { ...request, context: paragraphs.slice(Math.max(0, indices[0] - CONTEXT_PARAGRAPHS), indices[0]) }
+
+  async function split(indices) {
+    const half = Math.ceil(indices.length / 2)
+    await run(indices.slice(0, half))
+    await run(indices.slice(half))
+  }
+
+  async function run(indices) {  // 0-based positions in `paragraphs`
+    let results
+    try {
+      results = await withRetry(() => translateBatch(indices.map(i => paragraphs[i]), requestFor(indices), config), onRetry)
+    } catch (e) {
+      if (isFatalTranslationError(e)) throw e
+      error = e
+      if (indices.length === 1) failed.add(indices[0])
+      else await split(indices)
+      return
     }
-    return false
-  } catch (e) {
-    console.error('needsTranslation check failed:', e)
-    return false
+    const suspects = suspectNumbers(results, indices.length)
+    indices.forEach((index, j) => {
+      const text = results[j + 1]?.trim()
+      if (!suspects.has(j + 1)) translations[index + 1] = text
+      else if (text) fallback[index + 1] = text
+    })
+    if (!suspects.size) return
+    if (indices.length === 1) { failed.add(indices[0]); return }
+    const numbers = [...suspects].sort((a, b) => a - b)
+    console.warn(`📚 Translation reply missing or merged ${numbers.join(', ')} of ${indices.length} — re-requesting`)
+    const again = numbers.map(n => indices[n - 1])
+    // Nothing usable came back: smaller batches; otherwise just the gaps
+    if (again.length === indices.length) await split(indices)
+    else await run(again)
+  }
+
+  await run(paragraphs.map((_, i) => i))
+  for (const index of failed) {
+    if (fallback[index + 1]) { translations[index + 1] = fallback[index + 1]; failed.delete(index) }
   }
+  return { translations, failed: [...failed].map(i => i + 1), error: failed.size ? error?.message || '译文缺失' : null }
+}
+
+// Glossary terms → { [n]: rendering }
+export function translateTerms(terms, { source, target }, config = getTranslationConfig()) {
+  return TRANSLATION_PROVIDERS[config.provider].translate(terms, { source, target, kind: 'terms' }, config)
 }
@@ -0,0 +1,161 @@
+// WebDAV storage provider (Nextcloud, ownCloud, Apache mod_dav, rclone serve webdav, ...)
+// Same interface as dropboxProvider — see storage.js.
+//
+// Nextcloud URL: https://cloud.example.com/remote.php/dav/files/<user>/NixBook
+// Use an app password; the server must allow CORS from this origin.
+const CONFIG_KEY = 'webdav-config'
+
+export function getWebDAVConfig() {
+  try { return JSON.parse(localStorage.getItem(CONFIG_KEY)) || null } catch { return null }
+}
+
+export function setWebDAVConfig(config) {
+  if (config?.url) localStorage.setItem(CONFIG_KEY, JSON.stringify(config))
+  else localStorage.removeItem(CONFIG_KEY)
+}
+
+// Provider bound to one server. `fetchImpl` lets a local WebDAV stand-in be swapped in.
+export function createWebDAVProvider({ url, username = '', password = '' }, fetchImpl = globalThis.fetch) {
+  const root = url.replace(/\/+$/, '')
+  const headers = {}
+  if (username || password) {
+    // btoa only takes Latin-1 — encode UTF-8 credentials first
+    const bytes = new TextEncoder().encode(`${username}:${password}`)
+    headers.Authorization = `Basic ${btoa(String.fromCharCode(...bytes))}`
+  }
+
+  const fileUrl = path => `${root}/${path.split('/').filter(Boolean).map(encodeURIComponent).join('/')}`
+
+  async function request(method, path, { body, extraHeaders, ok = [] } = {}) {
+    const response = await fetchImpl(fileUrl(path), { method, body, headers: { ...headers, ...extraHeaders } })
+    if (response.status === 401 || response.status === 403) throw new Error(`WebDAV: not authorized (${response.status})`)
+    if (!response.ok && !ok.includes(response.status)) {
+      throw new Error(`WebDAV ${method} ${path} failed: ${response.status} ${response.statusText}`)
+    }
+    return response
+  }
+
+  // Create missing parent collections one level at a time (MKCOL isn't recursive)
+  async function makeParents(path) {
+    const parts = path.split('/').filter(Boolean).slice(0, -1)
+    for (let i = 1; i <= parts.length; i++) {
+      // 405 = already exists
+      await request('MKCOL', parts.slice(0, i).join('/'), { ok: [405] })
+    }
+  }
+
+  // ETag of an existing file. Browsers hide it unless the server lists it in
+  // Access-Control-Expose-Headers — without it no write could be conditional, so that's an error.
+  function requireETag(path, response) {
+    const etag = response.headers.get('ETag')
+    if (!etag) throw new Error(`WebDAV: no ETag for ${path} (the server must send it and expose it to CORS)`)
+    return etag
+  }
+
+  // rev (ETag): undefined = overwrite, null = only if absent, string = only if unchanged.
+  // Returns the new ETag; servers that don't send one with the PUT are asked with a HEAD.
+  async function put(path, body, contentType, rev) {
+    const extraHeaders = { 'Content-Type': contentType }
+    if (rev === null) extraHeaders['If-None-Match'] = '*'
+    else if (rev !== undefined) extraHeaders['If-Match'] = rev
+    const send = () => request('PUT', path, { body, extraHeaders, ok: [404, 409, 412] })
+    let response = await send()
+    if (response.status === 404 || response.status === 409) {
+      await makeParents(path)
+      response = await send()
+    }
+    if (response.status === 412) {
+      throw Object.assign(new Error(`Conflict: ${path} changed remotely`), { name: 'ConflictError' })
+    }
+    if (!response.ok) throw new Error(`WebDAV PUT ${path} failed: ${response.status}`)
+    if (response.headers.get('ETag')) return response.headers.get('ETag')
+    return requireETag(path, await request('HEAD', path))
+  }
+
+  async function get(path) {
+    const response = await request('GET', path, { ok: [404] })
+    return response.status === 404 ? null : response
+  }
+
+  return {
+    async getJSON(path) {
+      const response = await get(path)
+      return response ? JSON.parse(await response.text()) : null
+    },
+    async getJSONRev(path) {
+      const response = await get(path)
+      if (!response) return { data: null, rev: null }
+      return { data: JSON.parse(await response.text()), rev: requireETag(path, response) }
+    },
+    putJSON(path, data, { rev } = {}) {
+      return put(path, JSON.stringify(data, null, 2), 'application/json', rev)
+    },
+    async getBlob(path) {
+      const response = await get(path)
+      return response ? response.blob() : null
+    },
+    putBlob(path, blob, { rev } = {}) {
+      return put(path, blob, blob.type || 'application/octet-stream', rev)
+    },
+    // File names (not collections) directly inside `dir`; [] if it doesn't exist
+    async list(dir) {
+      return Object.keys(await this.listRevs(dir))
+    },
+    // { name: ETag } for the same files
+    async listRevs(dir) {
+      const response = await request('PROPFIND', dir ? dir + '/' : '', {
+        extraHeaders: { Depth: '1', 'Content-Type': 'application/xml' },
+        body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/><d:getetag/></d:prop></d:propfind>',
+        ok: [404],
+      })
+      if (response.status === 404) return {}
+      return parseMultistatus(await response.text())
+    },
+    async delete(path) {
+      await request('DELETE', path, { ok: [404] })
+    },
+    // Reachable and authorized? (used when saving the settings)
+    async check() {
+      await request('PROPFIND', '', { extraHeaders: { Depth: '0' } })
+    },
+  }
+}
+
+// { name: ETag } of the non-collection members in a PROPFIND Depth:1 response.
+// Regex rather than DOMParser: servers use any namespace prefix, and it works outside the DOM too.
+function parseMultistatus(xml) {
+  const files = {}
+  for (const [, body] of xml.matchAll(/<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/g)) {
+    const href = body.match(/<(?:[\w-]+:)?href\b[^>]*>([^<]*)</)?.[1]
+    if (!href || /<(?:[\w-]+:)?collection\b/.test(body)) continue
+    const name = decodeURIComponent(href.replace(/\/+$/, '').split('/').pop())
+    const etag = body.match(/<(?:[\w-]+:)?getetag\b[^>]*>([^<]*)</)?.[1]
+    if (name) files[name] = etag ? etag.replace(/&quot;/g, '"') : undefined
+  }
+  return files
+}
+
+function configuredProvider() {
+  const config = getWebDAVConfig()
+  if (!config) throw new Error('WebDAV not configured')
+  return createWebDAVProvider(config)
+}
+
+// The provider registered in storage.js — reads the saved server config on every call
+export const webdavProvider = {
+  id: 'webdav',
+  label: 'WebDAV',
+  isConfigured: () => true,
+  isLoggedIn: () => !!getWebDAVConfig()?.url,
+  login: null,  // configured in the settings panel
+  logout: () => setWebDAVConfig(null),
+
+  getJSON: path => configuredProvider().getJSON(path),
+  getJSONRev: path => configuredProvider().getJSONRev(path),
+  putJSON: (path, data, options) => configuredProvider().putJSON(path, data, options),
+  getBlob: path => configuredProvider().getBlob(path),
+  putBlob: (path, blob, options) => configuredProvider().putBlob(path, blob, options),
+  list: dir => configuredProvider().list(dir),
+  listRevs: dir => configuredProvider().listRevs(dir),
+  delete: path => configuredProvider().delete(path),
+}